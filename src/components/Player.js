@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { Controls } from '../systems/Controls.js';
+import { CharacterController } from '../systems/CharacterController.js';
+import { Projectile } from './Projectile.js';
+import { Ragdoll } from './Ragdoll.js';
+import { Physics } from '../systems/Physics.js';
 
 /**
  * Player class that manages the player character's state, appearance, and behavior
@@ -17,8 +21,13 @@ export class Player {
         this.velocity = new THREE.Vector3();
         this.isGrounded = false;
         this.isJumping = false;
+        this.isSwimming = false;
+        this.surface = null; // Surface underfoot (see Physics.SURFACES), for footstep sounds
         this.isInVehicle = false;
         this.currentVehicle = null;
+        this.isDead = false;
+        this.ragdoll = null; // Ragdoll standing in for the player while dead or knocked down
+        this.ragdollRestTime = 0;
         
         // Player stats
         this.stats = {
@@ -39,6 +48,9 @@ export class Player {
             maxItems: 10
         };
         
+        // Projectiles fired by the player that are still flying
+        this.projectiles = [];
+        
         // Player dimensions
         this.height = 1.8; // Player height in meters
         this.radius = 0.3; // Player radius in meters
@@ -46,13 +58,25 @@ export class Player {
         // Movement parameters
         this.walkSpeed = 5;     // 5 units per second
         this.runSpeed = 9;      // 9 units per second
-        this.jumpForce = 7;     // Jump force
+        this.jumpForce = 7;     // Upward speed of a jump in m/s
         this.rotationSpeed = 3; // Rotation speed in radians per second
+        this.safeFallSpeed = 10; // Landing speed in m/s that doesn't hurt (roughly a 5m drop)
+        this.fallDamage = 8;     // Damage per m/s above the safe landing speed
+        this.knockDownSpeed = 8; // Vehicle impact speed in m/s that knocks the player over
+        this.getUpDelay = 1.5;   // Seconds a knocked down player lies still before getting up
+        this.getUpTime = 0.4;    // Seconds the ragdoll takes to blend back into the standing pose
+        this.swimSpeed = 2.5;    // Swimming speed in m/s
+        this.swimSprintSpeed = 4; // Fast swimming speed in m/s
+        this.swimStaminaDrain = 3; // Stamina per second spent keeping afloat (swimming fast drains it like sprinting)
+        this.drownDamage = 10;   // Health per second lost in water once out of stamina
         
         // Create player mesh and physics body
         this.createPlayerMesh();
         this.createPhysicsBody();
         
+        // Ground detection, slopes, steps and jumping
+        this.controller = new CharacterController(this.physics, this.body, { jumpSpeed: this.jumpForce });
+        
         // Animation states (would connect to actual animations in a full implementation)
         this.animationState = 'idle'; // idle, walk, run, jump, fall, etc.
         
@@ -101,10 +125,15 @@ export class Player {
             radius: this.radius,
             mass: 70, // 70 kg
             position: new THREE.Vector3(this.position.x, this.position.y, this.position.z),
-            stepHeight: 0.3 // Allow stepping up small obstacles
+            stepHeight: 0.3, // Allow stepping up small obstacles
+            maxSlope: 45     // Steeper ground can't be walked up
         };
         
         this.body = this.physics.createCharacter(characterOptions);
+        this.physics.registerEntity(this.body, { type: 'player', entity: this, id: 'player' });
+        
+        // Float with the head above water (a 70 kg body displacing 0.09 m³ settles about 3/4 under)
+        this.physics.setBuoyancy(this.body, { volume: 0.09, height: this.height, drag: 2 });
         
         // Link physics body to mesh for rendering updates
         this.physics.addObject(this.group, this.body);
@@ -116,21 +145,46 @@ export class Player {
     setupCollisionHandling() {
         // Set up collision callback
         this.physics.onCollision(this.body, (playerBody, otherBody) => {
-            // Check what the player collided with based on user data or other properties
-            if (otherBody.userData && otherBody.userData.type === 'vehicle') {
+            // Check what the player collided with
+            const other = this.physics.getEntity(otherBody);
+            if (!other) return;
+            
+            if (other.type === 'vehicle') {
                 // Near a vehicle - could enable entering
                 if (this.controls.actions.enterVehicle) {
-                    this.enterVehicle(otherBody.userData.vehicle);
+                    this.enterVehicle(other.entity);
                 }
             } 
-            else if (otherBody.userData && otherBody.userData.type === 'item') {
+            else if (other.type === 'item') {
                 // Collision with pickup item
-                this.collectItem(otherBody.userData.item);
+                this.collectItem(other.entity);
+            }
+        });
+        
+        // Landing too hard hurts
+        this.controller.onLand(({ fallSpeed }) => {
+            const excessSpeed = fallSpeed - this.safeFallSpeed;
+            if (excessSpeed > 0) {
+                this.takeDamage(excessSpeed * this.fallDamage);
             }
-            else if (otherBody.userData && otherBody.userData.type === 'ground') {
-                // Collision with ground - player is grounded
-                this.isGrounded = true;
-                this.isJumping = false;
+        });
+        
+        // Being hit by a vehicle hurts like landing at the same speed, and a fast one knocks the player over
+        this.physics.on('impact', this.body, (event) => {
+            if (this.isInVehicle || this.ragdoll) return;
+            
+            const other = this.physics.getEntity(event.other);
+            if (!other || other.type !== 'vehicle') return;
+            
+            const excessSpeed = event.impactSpeed - this.safeFallSpeed;
+            if (excessSpeed > 0) {
+                this.takeDamage(excessSpeed * this.fallDamage);
+            }
+            
+            if (event.impactSpeed >= this.knockDownSpeed && !this.isDead) {
+                // Thrown along with the vehicle and a little upwards
+                const velocity = new THREE.Vector3(event.other.velocity.x, event.other.velocity.y + 2, event.other.velocity.z);
+                this.startRagdoll(velocity);
             }
         });
     }
@@ -143,7 +197,9 @@ export class Player {
         // Update controls
         this.controls.update(deltaTime);
         
-        if (this.isInVehicle) {
+        if (this.ragdoll) {
+            this.updateRagdoll(deltaTime);
+        } else if (this.isInVehicle) {
             this.updateInVehicle(deltaTime);
         } else {
             this.updateOnFoot(deltaTime);
@@ -155,8 +211,12 @@ export class Player {
         // Update animation state based on movement
         this.updateAnimation();
         
-        // Regenerate stamina when not sprinting
-        if (!this.controls.actions.sprint) {
+        // Count down projectile lifetimes and forget the ones that have hit or expired
+        this.projectiles.forEach(projectile => projectile.update(deltaTime));
+        this.projectiles = this.projectiles.filter(projectile => projectile.active);
+        
+        // Regenerate stamina when not sprinting or swimming
+        if (!this.controls.actions.sprint && !this.isSwimming) {
             this.stats.stamina = Math.min(this.stats.maxStamina, this.stats.stamina + deltaTime * 15);
         }
     }
@@ -174,26 +234,33 @@ export class Player {
         rotatedDirection.applyEuler(new THREE.Euler(0, this.controls.cameraRotation.y, 0));
         
         // Determine speed based on sprint status
-        let speed = this.walkSpeed;
+        let speed = this.isSwimming ? this.swimSpeed : this.walkSpeed;
         if (this.controls.actions.sprint && this.stats.stamina > 0) {
-            speed = this.runSpeed;
+            speed = this.isSwimming ? this.swimSprintSpeed : this.runSpeed;
             // Reduce stamina while sprinting
             this.stats.stamina = Math.max(0, this.stats.stamina - deltaTime * 25);
         }
         
-        // Apply movement to velocity
-        this.velocity.x = rotatedDirection.x * speed;
-        this.velocity.z = rotatedDirection.z * speed;
-        
-        // Handle jumping
-        if (this.controls.actions.jump && this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            this.isJumping = true;
+        // Staying afloat is tiring too, and without stamina left the player starts to drown
+        if (this.isSwimming) {
+            this.stats.stamina = Math.max(0, this.stats.stamina - deltaTime * this.swimStaminaDrain);
+            if (this.stats.stamina === 0) {
+                this.takeDamage(deltaTime * this.drownDamage);
+            }
         }
         
-        // Apply velocity to physics body
-        this.physics.setVelocity(this.body, this.velocity);
+        // Steer the body (gravity keeps pulling it, the controller only sets the vertical speed to jump,
+        // hop up steps and follow the ground)
+        this.controller.update(deltaTime, {
+            direction: rotatedDirection,
+            speed,
+            jump: this.controls.actions.jump
+        });
+        
+        this.isGrounded = this.controller.isGrounded;
+        this.isJumping = this.controller.isJumping;
+        this.isSwimming = this.controller.isSwimming;
+        this.velocity.copy(this.body.velocity);
         
         // Update player orientation to face movement direction
         if (rotatedDirection.length() > 0.1) {
@@ -209,6 +276,100 @@ export class Player {
         
         // Update player position from physics
         this.position.copy(this.body.position);
+        
+        // What the player is standing on
+        this.surface = this.controller.surface;
+    }
+    
+    /**
+     * Update player while a ragdoll stands in for them
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    updateRagdoll(deltaTime) {
+        this.ragdoll.update(deltaTime);
+        
+        // Getting up (the blend ends the ragdoll once the player is back on their feet)
+        if (!this.ragdoll || !this.ragdoll.simulating) return;
+        
+        // Keep the hidden capsule with the ragdoll, so the camera and anything looking for the player find it
+        this.position.copy(this.ragdoll.getPosition());
+        this.physics.teleport(this.body, this.position);
+        this.physics.setVelocity(this.body, new THREE.Vector3());
+        
+        // The dead stay down until they respawn, the knocked down get up once they've lain still for a moment
+        if (this.isDead) return;
+        
+        this.ragdollRestTime = this.ragdoll.isResting() ? this.ragdollRestTime + deltaTime : 0;
+        if (this.ragdollRestTime >= this.getUpDelay) {
+            this.getUp();
+        }
+    }
+    
+    /**
+     * Swap the player's capsule for a ragdoll
+     * @param {THREE.Vector3} velocity - Velocity the ragdoll starts with
+     * @returns {boolean} - Whether a ragdoll could be created (not with the physics worker)
+     */
+    startRagdoll(velocity = new THREE.Vector3()) {
+        if (this.ragdoll) return true;
+        
+        const ragdoll = new Ragdoll(this.scene, this.physics, {
+            position: this.position,
+            quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation.y),
+            velocity,
+            height: this.height,
+            mass: 70,
+            owner: this
+        });
+        
+        if (!ragdoll.simulating) {
+            ragdoll.dispose();
+            return false;
+        }
+        
+        this.ragdoll = ragdoll;
+        this.ragdollRestTime = 0;
+        
+        // Hide the capsule and let everything pass through it
+        this.group.visible = false;
+        this.physics.setCollisionFilter(this.body, { mask: 0 }, Physics.GROUPS.CHARACTER);
+        
+        this.playAnimation('ragdoll');
+        
+        return true;
+    }
+    
+    /**
+     * Blend the ragdoll back into the standing pose and hand control back to the capsule
+     */
+    getUp() {
+        // Stand up where the ragdoll lies, facing the way the player last faced
+        const position = this.ragdoll.getPosition();
+        position.y += this.height / 2 - 0.1;
+        const facing = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation.y);
+        
+        // The capsule is solid again straight away so it doesn't sink while the ragdoll blends
+        this.position.copy(position);
+        this.physics.teleport(this.body, position);
+        this.physics.setVelocity(this.body, new THREE.Vector3());
+        this.physics.setCollisionFilter(this.body, {}, Physics.GROUPS.CHARACTER);
+        this.controller.reset();
+        
+        this.ragdoll.blendTo(position, facing, this.getUpTime, () => this.endRagdoll());
+    }
+    
+    /**
+     * Remove the ragdoll and bring the capsule back
+     */
+    endRagdoll() {
+        if (!this.ragdoll) return;
+        
+        this.ragdoll.dispose();
+        this.ragdoll = null;
+        
+        this.group.visible = true;
+        this.physics.setCollisionFilter(this.body, {}, Physics.GROUPS.CHARACTER);
+        this.body.wakeUp();
     }
     
     /**
@@ -266,6 +427,8 @@ export class Player {
         
         if (this.isInVehicle) {
             newState = 'driving';
+        } else if (this.isSwimming) {
+            newState = 'swim';
         } else if (!this.isGrounded) {
             if (this.isJumping) {
                 newState = 'jump';
@@ -315,17 +478,22 @@ export class Player {
             new THREE.Vector3(0, 0, -1)
         ];
         
-        // Check each direction
-        for (const direction of rayDirections) {
+        // Check each direction (ray tests may be answered by the physics worker, so wait for all of them)
+        const rayTests = rayDirections.map(direction => {
             const rayEnd = new THREE.Vector3().copy(rayStart).add(direction.multiplyScalar(2));
-            const result = this.physics.rayTest(rayStart, rayEnd);
+            return this.physics.rayTestAsync(rayStart, rayEnd, { ignore: [this.body] });
+        });
+        
+        Promise.all(rayTests).then(results => {
+            const hit = results
+                .map(result => this.physics.getEntity(result.body))
+                .find(entity => entity && entity.type === 'vehicle');
             
-            if (result.hasHit && result.body.userData && result.body.userData.type === 'vehicle') {
+            if (hit && !this.isInVehicle) {
                 // Found a vehicle - enter it
-                this.enterVehicle(result.body.userData.vehicle);
-                break;
+                this.enterVehicle(hit.entity);
             }
-        }
+        });
     }
     
     /**
@@ -363,7 +531,8 @@ export class Player {
         
         // Update player position to exit position
         this.position.copy(exitPosition);
-        this.body.position.copy(exitPosition);
+        this.physics.teleport(this.body, exitPosition);
+        this.controller.reset();
         
         // Show player mesh
         this.group.visible = true;
@@ -387,6 +556,8 @@ export class Player {
      * @param {number} amount - Amount of damage to take
      */
     takeDamage(amount) {
+        if (this.isDead) return;
+        
         this.stats.health = Math.max(0, this.stats.health - amount);
         
         // Check for death
@@ -395,16 +566,24 @@ export class Player {
         }
     }
     
+    /**
+     * Get caught in an explosion (see Physics.explode)
+     * @param {object} hit - How the blast reached the player ({ distance, damage, ... })
+     */
+    onExplosion(hit) {
+        // The vehicle takes the blast; if it blows up the player is thrown out next to it
+        if (this.isInVehicle) return;
+        
+        this.takeDamage(hit.damage);
+    }
+    
     /**
      * Handle player death
+     * The player goes limp where they fell and stays down until respawn is called
      */
     die() {
-        // Reset position
-        this.position.set(0, 2, 0);
-        this.body.position.copy(this.position);
-        
-        // Reset stats
-        this.stats.health = this.stats.maxHealth;
+        if (this.isDead) return;
+        this.isDead = true;
         
         // Exit vehicle if in one
         if (this.isInVehicle) {
@@ -414,8 +593,31 @@ export class Player {
         // Play death animation
         this.playAnimation('death');
         
-        // Additional death logic would go here
-        console.log("Player died and respawned");
+        // Fall as a ragdoll, carried on by how the player was moving
+        const velocity = new THREE.Vector3(this.body.velocity.x, this.body.velocity.y, this.body.velocity.z);
+        this.startRagdoll(velocity);
+        
+        console.log("Player died");
+    }
+    
+    /**
+     * Bring the player back to life
+     * @param {THREE.Vector3|CANNON.Vec3} position - Where to respawn
+     */
+    respawn(position = new THREE.Vector3(0, 2, 0)) {
+        // The ragdoll despawns
+        this.endRagdoll();
+        
+        this.position.set(position.x, position.y, position.z);
+        this.physics.teleport(this.body, this.position);
+        this.physics.setVelocity(this.body, new THREE.Vector3());
+        this.controller.reset();
+        
+        // Reset stats
+        this.stats.health = this.stats.maxHealth;
+        this.isDead = false;
+        
+        console.log("Player respawned");
     }
     
     /**
@@ -553,21 +755,57 @@ export class Player {
         this.playAnimation('shoot');
         
         // In a full implementation:
-        // - Create projectile
         // - Add muzzle flash effect
         // - Add sound effect
         // - Apply recoil
         
         console.log(`Fired weapon: ${weapon.name}. Ammo remaining: ${weapon.ammo}`);
         
-        // Cast ray to check for hits
-        this.performWeaponRaycast();
+        // Projectile weapons fire a simulated shot, the rest hit instantly along a ray (hitscan)
+        if (weapon.ballistics === 'projectile') {
+            this.fireProjectile();
+        } else {
+            this.performWeaponRaycast();
+        }
     }
     
     /**
-     * Perform raycast to check for weapon hits
+     * Fire a physics-simulated projectile from the current weapon
+     * The weapon's projectile settings give its speed, gravityScale, lifetime, radius, mass and
+     * detonateOnImpact (see Projectile)
+     */
+    fireProjectile() {
+        const weapon = this.inventory.currentWeapon;
+        const settings = weapon.projectile || {};
+        
+        // Aim where the camera looks, firing from chest height just outside the player's capsule
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const start = this.position.clone();
+        start.y += this.height * 0.25;
+        start.addScaledVector(direction, this.radius + 0.3);
+        
+        const projectile = new Projectile(this.scene, this.physics, {
+            ...settings,
+            position: start,
+            velocity: direction.multiplyScalar(settings.speed || 50),
+            damage: weapon.damage,
+            explosion: weapon.explosion,
+            owner: this,
+            onImpact: (impact) => {
+                const hitType = impact.entity ? impact.entity.type : null;
+                this.createImpactEffect(impact.point, this.physics.getBodySurface(impact.body) || hitType);
+            }
+        });
+        
+        this.projectiles.push(projectile);
+    }
+    
+    /**
+     * Perform raycast to check for weapon hits (hitscan weapons)
      */
     performWeaponRaycast() {
+        const weapon = this.inventory.currentWeapon;
+        
         // Get ray start position (camera or player position)
         const rayStart = new THREE.Vector3();
         this.camera.getWorldPosition(rayStart);
@@ -578,42 +816,49 @@ export class Player {
         
         // Compute ray end point
         const rayEnd = new THREE.Vector3().copy(rayStart).add(
-            rayDirection.multiplyScalar(100) // Weapon range
+            rayDirection.multiplyScalar(weapon.range || 100) // Weapon range
         );
         
-        // Perform ray test
-        const result = this.physics.rayTest(rayStart, rayEnd);
-        
-        if (result.hasHit) {
+        // Perform ray test, passing through the player's own capsule
+        this.physics.rayTestAsync(rayStart, rayEnd, { ignore: [this.body] }).then(result => {
+            if (!result.hasHit) return;
+            
             // Hit something
-            const hitBody = result.body;
+            const hit = this.physics.getEntity(result.body);
+            const hitType = hit ? hit.type : null;
             
             // Check what was hit
-            if (hitBody.userData && hitBody.userData.type === 'npc') {
+            if (hitType === 'npc') {
                 // Hit an NPC - deal damage
-                hitBody.userData.npc.takeDamage(this.inventory.currentWeapon.damage);
-            } else if (hitBody.userData && hitBody.userData.type === 'vehicle') {
+                hit.entity.takeDamage(weapon.damage);
+            } else if (hitType === 'vehicle') {
                 // Hit a vehicle - damage vehicle
-                hitBody.userData.vehicle.takeDamage(this.inventory.currentWeapon.damage);
-            } else if (hitBody.userData && hitBody.userData.type === 'prop') {
+                hit.entity.takeDamage(weapon.damage);
+            } else if (hitType === 'prop') {
                 // Hit a prop - could break or apply force
-                if (hitBody.userData.breakable) {
-                    hitBody.userData.prop.break();
+                if (hit.breakable) {
+                    hit.entity.break();
                 }
             }
             
-            // Create impact effect at hit point
-            this.createImpactEffect(result.hitPointWorld);
-        }
+            // Create impact effect at hit point (the surface material where there is one, otherwise the body type)
+            this.createImpactEffect(result.hitPointWorld, this.physics.getBodySurface(result.body) || hitType);
+            
+            // Explosive rounds blow up where they hit
+            if (weapon.explosion) {
+                this.physics.explode(result.hitPointWorld, { ...weapon.explosion, source: this });
+            }
+        });
     }
     
     /**
      * Create a visual effect at impact point
      * @param {THREE.Vector3} position - Position for the effect
+     * @param {string} surfaceType - Surface (e.g. 'asphalt') or type of the body that was hit (e.g. 'vehicle')
      */
-    createImpactEffect(position) {
+    createImpactEffect(position, surfaceType = null) {
         // Simple implementation - just a placeholder in the MVP
-        console.log("Impact effect at", position);
+        console.log(`Impact effect on ${surfaceType || 'unknown surface'} at`, position);
         
         // In a full implementation:
         // - Create particle effect
@@ -683,6 +928,7 @@ export class Player {
     
     /**
      * Interact with an object in the world
+     * @returns {Promise<boolean>} - Resolves with whether something was interacted with
      */
     interact() {
         // Cast ray to check for interactive objects
@@ -697,14 +943,14 @@ export class Player {
             direction.multiplyScalar(2) // Interaction range
         );
         
-        const result = this.physics.rayTest(rayStart, rayEnd);
-        
-        if (result.hasHit) {
-            const hitBody = result.body;
+        return this.physics.rayTestAsync(rayStart, rayEnd, { ignore: [this.body] }).then(result => {
+            if (!result.hasHit) return false;
+            
+            const hit = this.physics.getEntity(result.body);
             
             // Check what was hit and interact accordingly
-            if (hitBody.userData && hitBody.userData.interactive) {
-                const interactive = hitBody.userData.interactive;
+            if (hit && hit.interactive) {
+                const interactive = hit.interactive;
                 
                 // Call object's interact method
                 if (typeof interactive.interact === 'function') {
@@ -712,9 +958,9 @@ export class Player {
                     return true;
                 }
             }
-        }
-        
-        return false;
+            
+            return false;
+        });
     }
     
     /**
@@ -765,7 +1011,8 @@ export class Player {
         // Restore position
         if (state.position) {
             this.position.set(state.position.x, state.position.y, state.position.z);
-            this.body.position.copy(this.position);
+            this.physics.teleport(this.body, this.position);
+            this.controller.reset();
         }
         
         // Restore stats
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { Physics } from '../systems/Physics.js';
+
+// Next id handed out to a projectile
+let nextProjectileId = 1;
+
+/**
+ * Projectile class - a physics-simulated shot (slow bullet, rocket, grenade) that flies, drops under
+ * gravity and hits whatever it touches
+ * On impact it damages what it hit and, if it has an explosion, blows up; projectiles that don't
+ * detonate on impact (grenades) bounce around until their lifetime runs out and blow up then
+ */
+export class Projectile {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the projectile to
+     * @param {Physics} physics - Physics system
+     * @param {object} options - Projectile options
+     * @param {THREE.Vector3} options.position - Where it's fired from
+     * @param {THREE.Vector3} options.velocity - Velocity it's fired with
+     * @param {number} options.radius - Radius of the projectile
+     * @param {number} options.mass - Mass in kg
+     * @param {number} options.gravityScale - How strongly gravity pulls it (0 = flies straight)
+     * @param {number} options.lifetime - Seconds before it expires
+     * @param {number} options.damage - Damage dealt to what it hits
+     * @param {object} options.explosion - Explosion options (see Physics.explode), or null
+     * @param {boolean} options.detonateOnImpact - Whether it stops at the first thing it hits
+     * @param {object} options.owner - Who fired it (its body is never hit, and it's the explosion source)
+     * @param {Function} options.onImpact - Called on every hit with { projectile, body, entity, point, normal, impactSpeed }
+     * @param {Function} options.onExpire - Called with the projectile when its lifetime runs out
+     * @param {number} options.color - Color of the projectile
+     */
+    constructor(scene, physics, options = {}) {
+        this.scene = scene;
+        this.physics = physics;
+        
+        this.options = {
+            position: options.position || new THREE.Vector3(),
+            velocity: options.velocity || new THREE.Vector3(0, 0, -50),
+            radius: options.radius || 0.05,
+            mass: options.mass || 0.1,
+            gravityScale: options.gravityScale !== undefined ? options.gravityScale : 1,
+            lifetime: options.lifetime || 5,
+            damage: options.damage || 0,
+            explosion: options.explosion || null,
+            detonateOnImpact: options.detonateOnImpact !== undefined ? options.detonateOnImpact : true,
+            owner: options.owner || null,
+            onImpact: options.onImpact || null,
+            onExpire: options.onExpire || null,
+            color: options.color || 0x333333
+        };
+        
+        this.id = `projectile_${nextProjectileId++}`;
+        this.age = 0;
+        this.active = true;
+        
+        this.createMesh();
+        this.createPhysics();
+    }
+    
+    /**
+     * Create the projectile mesh
+     */
+    createMesh() {
+        this.mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(this.options.radius, 8, 6),
+            new THREE.MeshStandardMaterial({ color: this.options.color })
+        );
+        this.mesh.position.copy(this.options.position);
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Create the projectile body on the projectile layer and listen for what it hits
+     */
+    createPhysics() {
+        this.body = this.physics.createSphere({
+            radius: this.options.radius,
+            mass: this.options.mass,
+            position: this.options.position,
+            velocity: this.options.velocity,
+            gravityScale: this.options.gravityScale,
+            group: Physics.GROUPS.PROJECTILE,
+            userData: { type: 'projectile', entity: this, id: this.id }
+        });
+        
+        // Link physics body to mesh for rendering updates
+        this.physics.addObject(this.mesh, this.body);
+        
+        this.physics.on('collisionStart', this.body, (event) => this.handleCollision(event));
+    }
+    
+    /**
+     * Handle the projectile touching something
+     * @param {object} event - Collision event (see Physics.on)
+     */
+    handleCollision(event) {
+        if (!this.active) return;
+        
+        const owner = this.options.owner;
+        if (owner && event.other === owner.body) return;
+        
+        const hit = this.physics.getEntity(event.other);
+        const impact = {
+            projectile: this,
+            body: event.other,
+            entity: hit,
+            point: event.point,
+            normal: event.normal,
+            impactSpeed: event.impactSpeed
+        };
+        
+        if (this.options.onImpact) {
+            this.options.onImpact(impact);
+        }
+        
+        // Bouncing projectiles only go off when their time is up
+        if (!this.options.detonateOnImpact) return;
+        
+        if (hit && hit.entity && typeof hit.entity.takeDamage === 'function' && this.options.damage > 0) {
+            hit.entity.takeDamage(this.options.damage);
+        }
+        
+        this.detonate(event.point);
+    }
+    
+    /**
+     * Blow up (if the projectile has an explosion) and remove the projectile
+     * @param {CANNON.Vec3|THREE.Vector3} position - Where it goes off
+     */
+    detonate(position) {
+        if (!this.active) return;
+        
+        // Removed first so the projectile's own blast doesn't push it
+        this.dispose();
+        
+        if (this.options.explosion) {
+            this.physics.explode(position, { ...this.options.explosion, source: this.options.owner || this });
+        }
+    }
+    
+    /**
+     * Count down the projectile's lifetime
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        this.age += deltaTime;
+        if (this.age < this.options.lifetime) return;
+        
+        if (this.options.onExpire) {
+            this.options.onExpire(this);
+        }
+        
+        this.detonate(this.body.position);
+    }
+    
+    /**
+     * Remove projectile from scene and physics world
+     */
+    dispose() {
+        if (!this.active) return;
+        this.active = false;
+        
+        this.physics.removeObject(this.mesh);
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
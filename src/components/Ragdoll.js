@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+
+/**
+ * Ragdoll class - the limp, physics-driven stand-in for a character (player or NPC) that has died or
+ * been knocked down
+ * The character hides its own mesh and body while the ragdoll is out, then either blends the ragdoll
+ * back into its standing pose and takes over again (getting up) or lets it despawn
+ */
+export class Ragdoll {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the ragdoll to
+     * @param {Physics} physics - Physics system
+     * @param {object} options - Ragdoll options
+     * @param {THREE.Vector3} options.position - Center of the character it replaces
+     * @param {THREE.Quaternion} options.quaternion - Which way the character faces
+     * @param {THREE.Vector3} options.velocity - Velocity the character was moving with
+     * @param {number} options.height - Character height in meters
+     * @param {number} options.mass - Character mass in kg
+     * @param {number} options.color - Color of the body parts
+     * @param {object} options.owner - The character (kept on the parts' entity records)
+     * @param {number} options.despawnAfter - Seconds before the ragdoll removes itself (0 = never)
+     */
+    constructor(scene, physics, options = {}) {
+        this.scene = scene;
+        this.physics = physics;
+        
+        this.options = {
+            position: options.position || new THREE.Vector3(),
+            quaternion: options.quaternion || new THREE.Quaternion(),
+            velocity: options.velocity || new THREE.Vector3(),
+            height: options.height || 1.8,
+            mass: options.mass || 70,
+            color: options.color || 0x3366cc,
+            owner: options.owner || null,
+            despawnAfter: options.despawnAfter || 0
+        };
+        
+        this.age = 0;
+        this.active = true;
+        
+        // Getting up: meshes move from where they fell to the standing pose
+        this.blend = null;
+        
+        this.ragdoll = this.physics.createRagdoll({
+            height: this.options.height,
+            mass: this.options.mass,
+            position: this.options.position,
+            quaternion: this.options.quaternion,
+            velocity: this.options.velocity,
+            userData: { owner: this.options.owner }
+        });
+        
+        // Whether the parts are in the physics world (there is no ragdoll with the physics worker)
+        this.simulating = this.ragdoll !== null;
+        
+        this.meshes = {};
+        if (this.ragdoll) {
+            this.createMeshes();
+        }
+    }
+    
+    /**
+     * Create a mesh for every part and link it to the part's body
+     */
+    createMeshes() {
+        const material = new THREE.MeshStandardMaterial({ color: this.options.color });
+        const skin = new THREE.MeshStandardMaterial({ color: 0xe0b090 });
+        
+        Object.entries(this.ragdoll.parts).forEach(([name, part]) => {
+            const geometry = name === 'head'
+                ? new THREE.SphereGeometry(part.size[0], 12, 8)
+                : new THREE.BoxGeometry(part.size[0], part.size[1], part.size[2]);
+            
+            const mesh = new THREE.Mesh(geometry, name === 'head' ? skin : material);
+            mesh.castShadow = true;
+            mesh.position.copy(part.body.position);
+            mesh.quaternion.copy(part.body.quaternion);
+            
+            this.scene.add(mesh);
+            this.physics.addObject(mesh, part.body);
+            this.meshes[name] = mesh;
+        });
+    }
+    
+    /**
+     * Get where the ragdoll is (its pelvis)
+     * @returns {THREE.Vector3} - Position
+     */
+    getPosition() {
+        const mesh = this.meshes.pelvis;
+        return mesh ? mesh.position.clone() : this.options.position.clone();
+    }
+    
+    /**
+     * Check whether the ragdoll has come to rest
+     * @param {number} maxSpeed - Speed in m/s below which a part counts as still
+     * @returns {boolean} - Whether every part is (almost) still
+     */
+    isResting(maxSpeed = 0.3) {
+        if (!this.simulating) return true;
+        
+        return this.ragdoll.bodies.every(body => body.velocity.length() < maxSpeed);
+    }
+    
+    /**
+     * Stop simulating and move the parts into a standing pose, for the character to take over from
+     * @param {THREE.Vector3} position - Center of the standing character
+     * @param {THREE.Quaternion} quaternion - Which way it faces
+     * @param {number} duration - Seconds the blend takes
+     * @param {Function} onDone - Called once the parts are in place
+     */
+    blendTo(position, quaternion, duration, onDone) {
+        if (!this.ragdoll) {
+            onDone();
+            return;
+        }
+        
+        this.physics.removeRagdoll(this.ragdoll);
+        this.simulating = false;
+        
+        const targets = {};
+        Object.entries(this.ragdoll.parts).forEach(([name, part]) => {
+            const mesh = this.meshes[name];
+            const offset = new THREE.Vector3(part.offset.x, part.offset.y, part.offset.z).applyQuaternion(quaternion);
+            
+            targets[name] = {
+                fromPosition: mesh.position.clone(),
+                fromQuaternion: mesh.quaternion.clone(),
+                position: offset.add(position),
+                quaternion: quaternion.clone()
+            };
+        });
+        
+        this.blend = { time: 0, duration, targets, onDone };
+    }
+    
+    /**
+     * Update the blend and the despawn timer
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        this.age += deltaTime;
+        
+        if (this.blend) {
+            this.updateBlend(deltaTime);
+        } else if (this.options.despawnAfter > 0 && this.age >= this.options.despawnAfter) {
+            this.dispose();
+        }
+    }
+    
+    /**
+     * Move the parts along the blend
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    updateBlend(deltaTime) {
+        const blend = this.blend;
+        blend.time += deltaTime;
+        
+        // Ease out so the character settles into the pose
+        const t = Math.min(1, blend.time / blend.duration);
+        const eased = 1 - (1 - t) * (1 - t);
+        
+        Object.entries(blend.targets).forEach(([name, target]) => {
+            const mesh = this.meshes[name];
+            mesh.position.lerpVectors(target.fromPosition, target.position, eased);
+            mesh.quaternion.slerpQuaternions(target.fromQuaternion, target.quaternion, eased);
+        });
+        
+        if (t >= 1) {
+            this.blend = null;
+            blend.onDone();
+        }
+    }
+    
+    /**
+     * Remove ragdoll from scene and physics world
+     */
+    dispose() {
+        if (!this.active) return;
+        this.active = false;
+        
+        if (this.simulating) {
+            this.physics.removeRagdoll(this.ragdoll);
+            this.simulating = false;
+        }
+        
+        const materials = new Set();
+        Object.values(this.meshes).forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            materials.add(mesh.material);
+        });
+        materials.forEach(material => material.dispose());
+        
+        this.meshes = {};
+    }
+}
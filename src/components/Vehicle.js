@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
+// Next id handed out to a vehicle created without one
+let nextVehicleId = 1;
+
 /**
  * Vehicle class that manages vehicle state, appearance, and physics
  */
@@ -28,7 +31,13 @@ export class Vehicle {
                 length: 4.5,  // meters
                 width: 1.8,   // meters
                 height: 1.4,  // meters
-            }
+            },
+            
+            // Blast when the vehicle is destroyed (see Physics.explode)
+            explosion: options.explosion || { radius: 8, force: 15000, damage: 100 },
+            
+            // Seconds with the floor under water before the engine floods and stalls
+            floodTime: options.floodTime || 4
         };
         
         // Vehicle state
@@ -41,11 +50,16 @@ export class Vehicle {
             headlightsOn: false,    // headlights state
             hornActive: false,      // horn state
             damaged: false,         // visual damage state
+            destroyed: false,       // blown up, can't be destroyed again
+            flood: 0,               // 0-1 how full of water the vehicle is
+            flooded: false,         // engine drowned, won't start again
             driver: null,           // reference to driver (player or NPC)
+            surface: null,          // surface under the wheels (see Physics.SURFACES), for tyre sounds
         };
         
-        // Vehicle unique ID
-        this.id = Math.random().toString(36).substr(2, 9);
+        // Vehicle unique ID - numbered in creation order so the same game always gives the same ids
+        // (snapshots and save games find vehicles by id)
+        this.id = options.id || `vehicle_${nextVehicleId++}`;
         
         // Controls state
         this.controls = {
@@ -65,6 +79,9 @@ export class Vehicle {
         
         // Driver position for camera and controls
         this.driverPosition = new THREE.Vector3(0, 0.8, 0.2);
+        
+        // Set up vehicle-specific collision handling
+        this.setupCollisionHandling();
     }
     
     /**
@@ -282,17 +299,50 @@ export class Vehicle {
             this.vehicle.steeringClamp = 0.5; // Default steering
         }
         
-        // Set user data for collision detection
-        this.chassisBody.userData = {
+        // Float in water, lower and lower as it fills up (see updateFlooding)
+        const corner = new THREE.Vector3(bodyDimensions.width * 0.4, 0, bodyDimensions.length * 0.4);
+        this.buoyancy = {
+            volume: 2.4, // m³, a dry 1500 kg car floats with its floor just under water
+            height: bodyDimensions.height,
+            points: [
+                new THREE.Vector3(corner.x, 0, corner.z),
+                new THREE.Vector3(-corner.x, 0, corner.z),
+                new THREE.Vector3(corner.x, 0, -corner.z),
+                new THREE.Vector3(-corner.x, 0, -corner.z)
+            ],
+            drag: 0.8,
+            angularDrag: 1.5
+        };
+        this.physics.setBuoyancy(this.chassisBody, this.buoyancy);
+        
+        // Register the chassis so collisions, ray tests and triggers know which vehicle they hit
+        this.physics.registerEntity(this.chassisBody, {
             type: 'vehicle',
-            vehicle: this,
+            entity: this,
             id: this.id
-        };
+        });
         
         // Link physics body to mesh for rendering updates
         this.physics.addObject(this.group, this.chassisBody);
     }
     
+    /**
+     * Set up collision handling for the vehicle
+     */
+    setupCollisionHandling() {
+        // Crashes damage the vehicle based on how hard it hit
+        this.physics.on('impact', this.chassisBody, (event) => {
+            // Running into a ragdoll doesn't count as a crash
+            const other = this.physics.getEntity(event.other);
+            if (other && other.type === 'ragdoll') return;
+            
+            const crashSpeed = event.impactSpeed * 3.6 - 20; // km/h below which crashes are harmless
+            if (crashSpeed > 0) {
+                this.takeDamage(crashSpeed * 0.5);
+            }
+        });
+    }
+    
     /**
      * Create entry points for the vehicle
      * @returns {Array} - Array of entry point positions
@@ -436,8 +486,8 @@ export class Vehicle {
             this.vehicle.setSteeringValue(steeringValue, i);
         }
         
-        // Apply engine force (throttle)
-        const engineForce = this.controls.throttle * this.vehicle.maxForce;
+        // Apply engine force (throttle) - only a running engine drives the wheels
+        const engineForce = this.state.engineOn ? this.controls.throttle * this.vehicle.maxForce : 0;
         for (let i = 2; i < 4; i++) {  // Apply to rear wheels for rear-wheel drive
             this.vehicle.applyEngineForce(engineForce, i);
         }
@@ -477,6 +527,9 @@ export class Vehicle {
      * Start the vehicle engine
      */
     startEngine() {
+        // Wrecks and drowned engines don't start
+        if (this.state.destroyed || this.state.flooded) return;
+        
         if (!this.state.engineOn) {
             this.state.engineOn = true;
             console.log(`Vehicle ${this.id} engine started`);
@@ -648,27 +701,47 @@ export class Vehicle {
         console.log(`Reset damage visuals for vehicle ${this.id}`);
     }
     
+    /**
+     * Put the vehicle back in working order, e.g. after a game restart or mission retry
+     * (those restore its physics body but not its state): repaired, unburnt, drained of flood water
+     * and with the engine off
+     */
+    reset() {
+        this.stopEngine();
+        
+        this.state.health = 100;
+        this.state.damaged = false;
+        this.state.destroyed = false;
+        this.state.flood = 0;
+        this.state.flooded = false;
+        this.physics.setBuoyancy(this.chassisBody, this.buoyancy);
+        
+        this.body.material.color.set(this.options.color);
+        this.resetDamageVisuals();
+    }
+    
     /**
      * Destroy the vehicle (when health reaches 0)
      */
     destroy() {
+        if (this.state.destroyed) return;
+        this.state.destroyed = true;
+        
         console.log(`Vehicle ${this.id} destroyed`);
         
-        // Eject driver if present
+        // Eject driver if present (the blast then hurts them like anyone else standing next to it)
         if (this.state.driver) {
-            // In a full implementation, this would damage the driver
-            const exitPos = this.getExitPosition();
             if (typeof this.state.driver.exitVehicle === 'function') {
                 this.state.driver.exitVehicle();
             }
         }
         
+        // Blow up - the blast can destroy nearby vehicles in turn, and effects listening to the
+        // physics system add the fireball, smoke and sound
+        this.physics.explode(this.chassisBody.position, { ...this.options.explosion, source: this });
+        
         // In a full implementation:
-        // - Play explosion effect
-        // - Create fire/smoke particles
-        // - Play sound effect
         // - Deform vehicle mesh heavily
-        // - Make vehicle unusable
         
         // For MVP, just update appearance
         this.body.material.color.set(0x111111); // Blackened
@@ -720,8 +793,14 @@ export class Vehicle {
                 // Rotate wheel around its axis
                 wheel.rotation.x += wheelInfo.deltaRotation;
             }
+            
+            // Surface of the first wheel touching the ground
+            const wheelOnGround = this.vehicle.wheelInfos.find(wheelInfo => wheelInfo.surface);
+            this.state.surface = wheelOnGround ? wheelOnGround.surface : null;
         }
         
+        this.updateFlooding(deltaTime);
+        
         // Consume fuel based on throttle and engine state
         if (this.state.engineOn) {
             // Idle fuel consumption
@@ -741,22 +820,39 @@ export class Vehicle {
         }
     }
     
+    /**
+     * Let water in while the floor is under water, sinking the vehicle and stalling the engine once it's full
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    updateFlooding(deltaTime) {
+        if (this.state.flood >= 1) return;
+        
+        const water = this.physics.getWaterAt(this.chassisBody.position);
+        const floorDepth = water ? water.depth + this.options.dimensions.height / 2 : 0;
+        if (floorDepth <= 0) return;
+        
+        this.state.flood = Math.min(1, this.state.flood + deltaTime / this.options.floodTime);
+        
+        // Water inside doesn't hold the vehicle up
+        this.physics.setBuoyancy(this.chassisBody, {
+            ...this.buoyancy,
+            volume: this.buoyancy.volume * (1 - 0.8 * this.state.flood)
+        });
+        
+        if (this.state.flood >= 1) {
+            this.state.flooded = true;
+            this.stopEngine();
+            console.log(`Vehicle ${this.id} flooded`);
+        }
+    }
+    
     /**
      * Remove vehicle from scene and physics world
      */
     dispose() {
-        // Remove from physics world
-        if (this.chassisBody) {
-            this.physics.world.removeBody(this.chassisBody);
-        }
-        
-        // Remove wheel bodies
-        if (this.wheelBodies) {
-            this.wheelBodies.forEach(body => {
-                if (body) {
-                    this.physics.world.removeBody(body);
-                }
-            });
+        // Remove from physics world (wheel bodies are never added to it)
+        if (this.vehicle) {
+            this.physics.removeVehicle(this.vehicle);
         }
         
         // Remove from scene
@@ -2,9 +2,15 @@ import * as THREE from 'three';
 import { LoadingManager } from 'three';
 import { City } from './scenes/City.js';
 import { Physics } from './systems/Physics.js';
+import { PhysicsProxy } from './systems/PhysicsProxy.js';
 import { Player } from './components/Player.js';
 import { Vehicle } from './components/Vehicle.js';
 import { MissionSystem } from './systems/Mission.js';
+import { DayNightCycle } from './systems/DayNight.js';
+import { WeatherSystem } from './systems/Weather.js';
+import { EffectsSystem } from './systems/Effects.js';
+import { GameClock } from './systems/GameClock.js';
+import { SeededRandom } from './utils/SeededRandom.js';
 
 // Global variables
 let scene, camera, renderer;
@@ -13,7 +19,11 @@ let city;
 let player;
 let vehicles = [];
 let missionSystem;
+let dayNight;
+let weather;
+let effects;
 let clock = new THREE.Clock();
+let gameClock = new GameClock(); // Game-time timers for missions (paused with the game)
 let loadingManager;
 let gameState = {
     running: false,
@@ -21,16 +31,30 @@ let gameState = {
     gameOver: false,
     missionActive: false,
     currentMission: null,
-    debugMode: false
+    debugMode: false,
+    // Deterministic mode (?deterministic): seeded randomness, and the game only advances through tick(n)
+    deterministic: new URLSearchParams(window.location.search).has('deterministic')
 };
 
+// City seed in deterministic mode when none is given with ?seed
+const DETERMINISTIC_SEED = 1;
+
+// Local storage key for saved games, and the save format version (bump it when the format changes)
+const SAVE_KEY = 'gtavi-save';
+const SAVE_VERSION = 1;
+
+// Physics state at the start of the game, restored when restarting
+let initialPhysicsState = null;
+
 // UI elements
 let uiElements = {
     healthBar: null,
     moneyDisplay: null,
     speedometer: null,
     minimap: null,
-    wantedLevel: null
+    wantedLevel: null,
+    districtName: null,
+    clock: null
 };
 /**
  * Initialize the application
@@ -38,14 +62,14 @@ let uiElements = {
 function init() {
     // Create Scene
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x87CEEB); // Sky blue background
+    // Sky color and fog are set by the day/night cycle (see addLights)
     
     // Create Camera
     camera = new THREE.PerspectiveCamera(
         75, // Field of view
         window.innerWidth / window.innerHeight, // Aspect ratio
         0.1, // Near clipping plane
-        1000 // Far clipping plane
+        1000 // Far clipping plane (matched to the city's view distance in createCity)
     );
     camera.position.set(5, 5, 10);
     
@@ -69,12 +93,24 @@ function init() {
     // Create the city
     createCity();
     
+    // Start the weather
+    createWeather();
+    
+    // Show explosions
+    effects = new EffectsSystem(scene, { physics });
+    
     // Create player character
     createPlayer();
     
     // Create vehicles
     createVehicles();
     
+    // Park vehicles in chunks that stream out
+    setupChunkStreaming();
+    
+    // Switch AI vehicle headlights at dusk and dawn
+    setupDayNight();
+    
     // Create UI
     createUI();
     
@@ -93,6 +129,11 @@ function init() {
     // Start the game
     startGame();
     
+    // Let automated tests drive the deterministic mode
+    if (gameState.deterministic) {
+        window.game = { tick, physics, player, vehicles, missionSystem, gameClock };
+    }
+    
     // Start the animation loop
     animate();
 }
@@ -101,11 +142,16 @@ function init() {
  * Initialize the physics system
  */
 function initPhysics() {
-    physics = new Physics();
+    // Run the simulation in a worker with ?physicsWorker (ray tests and transforms arrive a frame later)
+    // Not in deterministic mode: tick(n) has to have moved the bodies by the time it returns
+    const params = new URLSearchParams(window.location.search);
+    const useWorker = params.has('physicsWorker') && !gameState.deterministic;
+    if (params.has('physicsWorker') && !useWorker) {
+        console.warn('?physicsWorker is ignored in deterministic mode');
+    }
+    physics = useWorker ? new PhysicsProxy() : new Physics();
     
-    // Create ground plane in physics world
-    const groundSize = 500;
-    physics.createGround(groundSize, groundSize);
+    // The ground body is created by the city so it always covers the whole map
     
     // Enable debug mode if needed
     if (gameState.debugMode) {
@@ -117,9 +163,104 @@ function initPhysics() {
  * Create the city environment
  */
 function createCity() {
-    // Create city with a 5x5 grid of blocks
-    city = new City(5, 20);
+    // Allow a specific layout to be recreated with ?seed=<value> (e.g. from a bug report)
+    const params = new URLSearchParams(window.location.search);
+    const seed = params.has('seed') ? params.get('seed') : (gameState.deterministic ? DETERMINISTIC_SEED : undefined);
+    
+    // Create city with a 5x5 grid of blocks, with collision bodies for buildings and props
+    // Chunks are streamed in and out around the player, so the grid can be made much larger
+    city = new City(5, 20, {
+        seed,
+        physics,
+        streaming: true,
+        chunkSize: 2,
+        loadRadius: 2,
+        focus: new THREE.Vector3(10, 0, 10) // Player start position
+    });
     scene.add(city);
+    
+    // Don't draw further than the city keeps loaded
+    camera.far = city.getViewDistance();
+    camera.updateProjectionMatrix();
+    
+    // Fog the distance out before the far plane cuts it off
+    dayNight.setViewDistance(camera.far);
+    
+    console.log(`City seed: ${city.seed}`);
+}
+
+/**
+ * Download the current city layout as a JSON file
+ */
+function downloadCityLayout() {
+    const blob = new Blob([JSON.stringify(city.toLayout(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `city-layout-${city.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Create the weather system
+ */
+function createWeather() {
+    weather = new WeatherSystem(scene, {
+        weather: 'clear',
+        physics,
+        city,
+        dayNight,
+        autoChange: true,
+        // Derived from the city seed in deterministic mode so weather changes repeat too
+        random: gameState.deterministic ? new SeededRandom(city.seed).fork(1) : undefined
+    });
+}
+
+/**
+ * Turn AI vehicle headlights on at dusk and off at dawn
+ */
+function setupDayNight() {
+    const setHeadlights = on => {
+        vehicles.forEach(vehicle => {
+            if (vehicle === player.currentVehicle) return;
+            if (vehicle.state.headlightsOn !== on) vehicle.toggleHeadlights();
+        });
+    };
+    
+    dayNight.addEventListener('dusk', () => setHeadlights(true));
+    dayNight.addEventListener('dawn', () => setHeadlights(false));
+}
+
+/**
+ * Get the position the city streams chunks around
+ * @returns {THREE.Vector3} - Player or driven vehicle position
+ */
+function getStreamingFocus() {
+    return player.currentVehicle ? player.currentVehicle.group.position : player.position;
+}
+
+/**
+ * Put vehicles to sleep while the chunk they are in is unloaded
+ */
+function setupChunkStreaming() {
+    const vehiclesInChunk = chunk => vehicles.filter(vehicle =>
+        vehicle.group && vehicle !== player.currentVehicle &&
+        city.getChunkKeyAt(vehicle.group.position) === chunk.key
+    );
+    
+    city.addEventListener('chunkunload', ({ chunk }) => {
+        vehiclesInChunk(chunk).forEach(vehicle => {
+            vehicle.group.visible = false;
+            vehicle.chassisBody.sleep();
+        });
+    });
+    
+    city.addEventListener('chunkload', ({ chunk }) => {
+        vehiclesInChunk(chunk).forEach(vehicle => {
+            vehicle.group.visible = true;
+            vehicle.chassisBody.wakeUp();
+        });
+    });
 }
 
 /**
@@ -131,7 +272,7 @@ function createPlayer() {
     
     // Position player in the city
     player.position.set(10, 2, 10);
-    player.body.position.copy(player.position);
+    physics.teleport(player.body, player.position);
 }
 /**
  * Create vehicles in the world
@@ -271,6 +412,38 @@ function createUI() {
     uiContainer.appendChild(wantedLevel);
     uiElements.wantedLevel = wantedLevel;
     
+    // Name of the district the player is in
+    const districtName = document.createElement('div');
+    districtName.id = 'district-name';
+    districtName.style.position = 'absolute';
+    districtName.style.bottom = '20px';
+    districtName.style.left = '20px';
+    districtName.style.color = '#fff';
+    districtName.style.backgroundColor = 'rgba(0,0,0,0.5)';
+    districtName.style.padding = '10px';
+    districtName.style.borderRadius = '5px';
+    districtName.style.fontFamily = 'Arial, sans-serif';
+    districtName.style.fontSize = '18px';
+    
+    uiContainer.appendChild(districtName);
+    uiElements.districtName = districtName;
+    
+    // Game clock
+    const clockDisplay = document.createElement('div');
+    clockDisplay.id = 'clock';
+    clockDisplay.style.position = 'absolute';
+    clockDisplay.style.top = '75px';
+    clockDisplay.style.right = '20px';
+    clockDisplay.style.color = '#fff';
+    clockDisplay.style.backgroundColor = 'rgba(0,0,0,0.5)';
+    clockDisplay.style.padding = '10px';
+    clockDisplay.style.borderRadius = '5px';
+    clockDisplay.style.fontFamily = 'Arial, sans-serif';
+    clockDisplay.style.fontSize = '18px';
+    
+    uiContainer.appendChild(clockDisplay);
+    uiElements.clock = clockDisplay;
+    
     // Instructions panel (for controls info)
     const instructions = document.createElement('div');
     instructions.id = 'instructions';
@@ -313,7 +486,10 @@ function createUI() {
  */
 function initializeMissionSystem() {
     // Create mission system
-    missionSystem = new MissionSystem(scene, player);
+    missionSystem = new MissionSystem(scene, player, physics);
+    missionSystem.setDayNight(dayNight);
+    missionSystem.setWeather(weather);
+    missionSystem.setGameClock(gameClock);
     
     // Create sample missions
     createSampleMissions();
@@ -324,7 +500,7 @@ function initializeMissionSystem() {
  */
 function createSampleMissions() {
     // Wait until player is fully initialized
-    setTimeout(() => {
+    gameClock.after(1, () => {
         // Mission 1: Simple delivery mission
         const deliveryMission = missionSystem.createMission({
             id: 'mission_delivery_1',
@@ -351,16 +527,16 @@ function createSampleMissions() {
             rewards: {
                 money: 500,
                 items: [
-                    { id: 'item_1', name: 'Pistol', type: 'weapon', ammo: 30, damage: 20, maxAmmo: 100 }
+                    { id: 'item_1', name: 'Pistol', type: 'weapon', ballistics: 'hitscan', ammo: 30, damage: 20, maxAmmo: 100 }
                 ]
             },
             // Custom callback when mission starts
             onStart: (player, mission) => {
                 console.log('Delivery mission started!');
                 // Auto-complete the first objective (pick up)
-                setTimeout(() => {
+                mission.after(2, () => {
                     mission.completeObjective('obj_pickup');
-                }, 2000);
+                });
             }
         });
         
@@ -409,17 +585,17 @@ function createSampleMissions() {
                 // In a full implementation, these would be actual collectible items
                 
                 // Simulate finding packages by completing objectives after some time
-                setTimeout(() => {
+                mission.after(5, () => {
                     mission.completeObjective('obj_collect_1');
-                }, 5000);
+                });
                 
-                setTimeout(() => {
+                mission.after(10, () => {
                     mission.completeObjective('obj_collect_2');
-                }, 10000);
+                });
                 
-                setTimeout(() => {
+                mission.after(15, () => {
                     mission.completeObjective('obj_collect_3');
-                }, 15000);
+                });
                 
                 // Create a checkpoint to return to
                 missionSystem.createCheckpoint(mission, new THREE.Vector3(-20, 1, 20), () => {
@@ -455,7 +631,11 @@ function createSampleMissions() {
             rewards: {
                 money: 1000,
                 items: [
-                    { id: 'item_2', name: 'Shotgun', type: 'weapon', ammo: 10, damage: 50, maxAmmo: 50 }
+                    { id: 'item_2', name: 'Shotgun', type: 'weapon', ballistics: 'hitscan', ammo: 10, damage: 50, maxAmmo: 50 },
+                    // Grenades fly in an arc and blow up where they land (see Projectile and Physics.explode)
+                    { id: 'item_3', name: 'Grenade Launcher', type: 'weapon', ammo: 5, damage: 30, maxAmmo: 10,
+                        ballistics: 'projectile', projectile: { speed: 25, radius: 0.08, mass: 0.5 },
+                        explosion: { radius: 6, force: 8000, damage: 80 } }
                 ]
             },
             props: {
@@ -468,44 +648,22 @@ function createSampleMissions() {
                 player.updateWantedLevel(2);
                 
                 // Auto-complete steal car objective when player enters a vehicle
-                const checkVehicleInterval = setInterval(() => {
+                const checkVehicleTimer = mission.every(1, () => {
                     if (player.isInVehicle) {
                         mission.completeObjective('obj_steal_car');
-                        clearInterval(checkVehicleInterval);
+                        mission.cancelTimer(checkVehicleTimer);
                     }
-                }, 1000);
+                });
             }
         });
         
         console.log('Sample missions created.');
-    }, 1000); // Delay to ensure player is initialized
+    });
 }
 // Add lights to the scene
 function addLights() {
-    // Ambient light for overall illumination
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-    scene.add(ambientLight);
-    
-    // Directional light (sunlight)
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-    directionalLight.position.set(50, 200, 100);
-    directionalLight.castShadow = true;
-    
-    // Optimize shadow settings
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
-    directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 500;
-    directionalLight.shadow.camera.left = -100;
-    directionalLight.shadow.camera.right = 100;
-    directionalLight.shadow.camera.top = 100;
-    directionalLight.shadow.camera.bottom = -100;
-    
-    scene.add(directionalLight);
-    
-    // Add some hemisphere light for better ambient illumination
-    const hemisphereLight = new THREE.HemisphereLight(0x87CEEB, 0x444444, 0.5);
-    scene.add(hemisphereLight);
+    // Sun, ambient and hemisphere lights, sky color and fog, driven by the game clock
+    dayNight = new DayNightCycle(scene, { startHour: 10 });
 }
 
 // Set up the loading manager for assets
@@ -618,8 +776,7 @@ function setupEventListeners() {
                 // Show list of available missions when in debug mode
                 showDebugMissionList();
             } else {
-                // In a real implementation, would disable debug visualization
-                console.log('Debug mode disabled');
+                physics.disableDebug();
                 hideDebugMissionList();
             }
         }
@@ -628,6 +785,11 @@ function setupEventListeners() {
         if (event.code === 'KeyM' && gameState.debugMode) {
             showDebugMissionList();
         }
+        
+        // Debug key L to download the city layout (e.g. to attach to a bug report)
+        if (event.code === 'KeyL' && gameState.debugMode) {
+            downloadCityLayout();
+        }
     });
     
     
@@ -717,6 +879,9 @@ function startGame() {
     gameState.paused = false;
     gameState.gameOver = false;
     
+    // Remember where everything starts so restarting can put it all back
+    initialPhysicsState = physics.snapshot();
+    
     // Set initial camera position behind player (third-person view)
     camera.position.set(
         player.position.x - 5,
@@ -808,6 +973,9 @@ function pauseGame() {
             <h2>Game Paused</h2>
             <button id="resume-btn" style="margin: 10px; padding: 8px 16px;">Resume</button>
             <button id="restart-btn" style="margin: 10px; padding: 8px 16px;">Restart</button>
+            <button id="retry-btn" style="margin: 10px; padding: 8px 16px;">Retry Mission</button>
+            <button id="save-btn" style="margin: 10px; padding: 8px 16px;">Save</button>
+            <button id="load-btn" style="margin: 10px; padding: 8px 16px;">Load</button>
         `;
         
         document.body.appendChild(pauseMenu);
@@ -815,6 +983,9 @@ function pauseGame() {
         // Add event listeners to buttons
         document.getElementById('resume-btn').addEventListener('click', resumeGame);
         document.getElementById('restart-btn').addEventListener('click', restartGame);
+        document.getElementById('retry-btn').addEventListener('click', retryMission);
+        document.getElementById('save-btn').addEventListener('click', saveGame);
+        document.getElementById('load-btn').addEventListener('click', loadGame);
     } else {
         pauseMenu.style.display = 'block';
     }
@@ -840,9 +1011,9 @@ function resumeGame() {
 
 // Restart the game
 function restartGame() {
-    // Reset player position
-    player.position.set(10, 2, 10);
-    player.body.position.copy(player.position);
+    // Put the player and vehicles back where they started
+    physics.restore(initialPhysicsState);
+    player.respawn(player.body.position.clone());
     
     // Reset player stats
     player.stats.health = player.stats.maxHealth;
@@ -850,12 +1021,12 @@ function restartGame() {
     player.stats.money = 1000;
     player.stats.wanted = 0;
     
-    // Reset vehicles
+    // Reset vehicles (their bodies were restored above)
     vehicles.forEach(vehicle => {
-        // Reset vehicle state (position, health, etc.)
         if (vehicle.state.driver) {
             vehicle.removeDriver();
         }
+        vehicle.reset();
     });
     
     // Reset game state
@@ -869,6 +1040,19 @@ function restartGame() {
     console.log('Game restarted');
 }
 
+// Retry the last failed mission from its last checkpoint
+function retryMission() {
+    if (!missionSystem.retryMission()) {
+        console.log('No failed mission to retry');
+        return;
+    }
+    
+    // Vehicles wrecked on the failed attempt are back where they were, so put them back in working order too
+    vehicles.forEach(vehicle => vehicle.reset());
+    
+    resumeGame();
+}
+
 // Update UI elements
 function updateUI() {
     // Update health bar
@@ -915,6 +1099,18 @@ function updateUI() {
             }
         });
     }
+    
+    // Update district name
+    if (uiElements.districtName) {
+        const focus = getStreamingFocus();
+        const district = city.getDistrictAt(focus.x, focus.z);
+        uiElements.districtName.textContent = district ? district.name : 'Outskirts';
+    }
+    
+    // Update clock
+    if (uiElements.clock) {
+        uiElements.clock.textContent = dayNight.getTimeString();
+    }
 }
 
 // Handle window resize
@@ -931,10 +1127,40 @@ function animate() {
     // Skip updates if game is paused
     if (gameState.paused) return;
     
-    const delta = clock.getDelta();
+    // In deterministic mode the game only moves when tick() is called
+    if (!gameState.deterministic) {
+        updateGame(clock.getDelta());
+    }
     
-    // Update physics world
-    physics.update(delta);
+    // Update UI
+    updateUI();
+    
+    // Render the scene
+    renderer.render(scene, camera);
+}
+
+/**
+ * Advance the game by a number of fixed physics steps (deterministic mode)
+ * The same steps with the same inputs always give the same result
+ * @param {number} steps - Number of steps to advance
+ */
+function tick(steps = 1) {
+    for (let i = 0; i < steps; i++) {
+        updateGame(physics.fixedTimeStep);
+    }
+}
+
+/**
+ * Advance every game system
+ * @param {number} delta - Time to advance in seconds
+ */
+function updateGame(delta) {
+    // Update physics world (exactly one fixed step per tick in deterministic mode)
+    if (gameState.deterministic) {
+        physics.tick(1);
+    } else {
+        physics.update(delta);
+    }
     
     // Update player
     if (player) {
@@ -950,22 +1176,81 @@ function animate() {
         });
     }
     
+    // Fire mission timers
+    gameClock.update(delta);
+    
+    // Advance the game clock and light the city for the time of day
+    dayNight.update(delta, getStreamingFocus());
+    city.setNightLighting(dayNight.getNightFactor());
+    
+    // Update weather (rain falls around the camera)
+    weather.update(delta, camera.position);
+    
+    // Animate explosions and smoke
+    effects.update(delta);
+    
     // Update city if it has an update method
     if (city && typeof city.update === 'function') {
-        city.update(delta);
+        city.update(delta, getStreamingFocus());
     }
     
-    // Update UI
-    updateUI();
-    
     // Check for game over
     if (player.stats.health <= 0 && !gameState.gameOver) {
         gameState.gameOver = true;
         handleGameOver();
     }
+}
+
+/**
+ * Save the game state to local storage
+ */
+function saveGame() {
+    const state = {
+        version: SAVE_VERSION,
+        player: player.save(),
+        physics: physics.snapshot(),
+        weather: weather.save(),
+        time: { hour: dayNight.getHour(), minute: dayNight.getMinute() }
+    };
     
-    // Render the scene
-    renderer.render(scene, camera);
+    localStorage.setItem(SAVE_KEY, JSON.stringify(state));
+    console.log('Game saved');
+}
+
+/**
+ * Load the game state from local storage
+ */
+function loadGame() {
+    const saved = localStorage.getItem(SAVE_KEY);
+    if (!saved) {
+        console.log('No saved game found');
+        return;
+    }
+    
+    let state;
+    try {
+        state = JSON.parse(saved);
+    } catch (error) {
+        console.error(`Saved game isn't valid JSON: ${error.message}`);
+        return;
+    }
+    
+    if (!state || state.version !== SAVE_VERSION) {
+        console.error(`Saved game version ${state && state.version} is not supported (expected ${SAVE_VERSION})`);
+        return;
+    }
+    
+    player.load(state.player);
+    if (state.physics) {
+        physics.restore(state.physics);
+        player.position.copy(player.body.position);
+    }
+    weather.load(state.weather);
+    if (state.time) {
+        dayNight.setTime(state.time.hour, state.time.minute);
+    }
+    
+    console.log('Game loaded');
 }
 
 // Handle game over
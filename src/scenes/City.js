@@ -1,24 +1,90 @@
 import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { RoadGraph } from './RoadGraph.js';
+import { DistrictMap, DISTRICT_TYPES } from './Districts.js';
+import { TrafficSignalController } from '../systems/TrafficSignals.js';
 
 /**
  * City class for creating and managing the city environment
  * Extends THREE.Group to allow easy addition to the main scene
  */
 export class City extends THREE.Group {
-    constructor(size = 5, blockSize = 20) {
+    /**
+     * @param {number} size - Number of blocks in each direction
+     * @param {number} blockSize - Size of each city block
+     * @param {object} options - Extra options
+     * @param {number|string} options.seed - Seed for procedural generation (random if omitted)
+     * @param {Physics} options.physics - Physics system to register static collision bodies with
+     * @param {number} options.speedLimit - Speed limit for city lanes in km/h
+     * @param {object} options.signalTiming - Traffic light phase durations (see TrafficSignalController)
+     * @param {number} options.litWindowRatio - Fraction of windows that light up at night (0-1)
+     * @param {boolean} options.streaming - Only build the chunks around the focus point (see updateStreaming)
+     * @param {number} options.chunkSize - Number of blocks along each side of a chunk
+     * @param {number} options.loadRadius - How many chunks around the focus chunk stay loaded
+     * @param {THREE.Vector3} options.focus - Initial focus point when streaming
+     * @param {object} options.layout - Layout document to build instead of generating one (see fromJSON)
+     */
+    constructor(size = 5, blockSize = 20, options = {}) {
         super();
         
+        // Seed for procedural generation - the same seed always gives the same layout
+        this.seed = SeededRandom.normalizeSeed(
+            options.seed !== undefined ? options.seed : SeededRandom.randomSeed()
+        );
+        this.random = new SeededRandom(this.seed);
+        
+        // Physics system for static collision bodies (optional - visuals only without it)
+        this.physics = options.physics || null;
+        this.bodies = []; // Bodies of all loaded chunks
+        this.groundBodies = []; // Land and seabed, always loaded
+        
         // City parameters
         this.size = size; // Number of blocks in each direction (size x size grid)
         this.blockSize = blockSize; // Size of each city block
         this.roadWidth = 8; // Width of roads
         this.sidewalkWidth = 2; // Width of sidewalks
-        this.buildingMaxHeight = 50; // Maximum building height
-        this.buildingMinHeight = 10; // Minimum building height
+        this.curbHeight = 0.1; // Height of the raised sidewalk curb
+        this.groundSurfaceHeight = 0.01; // Top of the road and block ground collision slabs, just above the city ground
+        this.speedLimit = options.speedLimit || 50; // Lane speed limit in km/h
+        this.litWindowRatio = options.litWindowRatio !== undefined ? options.litWindowRatio : 0.35;
+        
+        // Water - the sea around the land and canals cutting through it
+        this.waterLevel = -0.8; // Height of the water surface, below the quays
+        this.seaDepth = 6; // Depth of the sea and canals below the surface
+        this.beachWidth = 12; // Sand between the beach blocks and the sea
+        this.canals = null; // Canals { axis, offset, width } across the land, planned from the seed unless imported
+        this.waterVolumes = []; // Sea and canal volumes (see Physics.addWaterVolume)
+        
+        // Zoning for every block - building heights, footprints, materials and decorations
+        this.districts = new DistrictMap(size, this.random.fork(3));
+        
+        // Layout data (district, buildings, props) per block, generated on first use
+        this.blockLayouts = new Map();
+        this.buildingMaxHeight = Math.max(...Object.values(DISTRICT_TYPES).map(district => district.heightRange[1]));
+        
+        // Chunk streaming - the city is built in square chunks of blocks which can be loaded and unloaded
+        this.streaming = options.streaming || false;
+        this.chunkSize = options.chunkSize || 2; // Blocks along each side of a chunk
+        this.loadRadius = options.loadRadius !== undefined ? options.loadRadius : 2; // Chunks around the focus
+        this.chunkCount = Math.ceil(size / this.chunkSize); // Chunks along each side of the city
+        this.chunks = new Map(); // Loaded chunks by key
+        this.currentChunk = null; // Chunk being built
         
         // Grid to track occupied positions
         this.grid = Array(size).fill().map(() => Array(size).fill(0));
         
+        // Lane network, built alongside the road meshes
+        this.roadGraph = new RoadGraph();
+        
+        // Traffic light phases for every intersection
+        this.trafficSignals = new TrafficSignalController(options.signalTiming);
+        
+        // Imported layout replaces the generated one
+        this.layout = options.layout || null;
+        if (this.layout) {
+            this.applyLayout(this.layout);
+        }
+        
         // Materials
         this.materials = {
             road: new THREE.MeshStandardMaterial({ 
@@ -31,11 +97,7 @@ export class City extends THREE.Group {
                 roughness: 0.8,
                 metalness: 0.1 
             }),
-            building: [
-                new THREE.MeshStandardMaterial({ color: 0x8899AA, roughness: 0.5, metalness: 0.2 }), // Glass/blue
-                new THREE.MeshStandardMaterial({ color: 0xAA8866, roughness: 0.7, metalness: 0.1 }), // Brick/brown
-                new THREE.MeshStandardMaterial({ color: 0xCCCCCC, roughness: 0.6, metalness: 0.1 }), // Concrete/gray
-            ],
+            districts: {}, // Building and ground materials per district type
             buildingWindows: new THREE.MeshStandardMaterial({ 
                 color: 0x88CCFF, 
                 roughness: 0.2,
@@ -44,92 +106,443 @@ export class City extends THREE.Group {
             }),
         };
         
+        // District materials
+        Object.values(DISTRICT_TYPES).forEach(district => {
+            this.materials.districts[district.type] = {
+                buildings: district.buildingMaterials.map(options => new THREE.MeshStandardMaterial(options)),
+                ground: district.groundColor !== null
+                    ? new THREE.MeshStandardMaterial({ color: district.groundColor, roughness: 0.9, metalness: 0.0 })
+                    : null
+            };
+        });
+        
+        // Decoration materials
+        this.materials.decorations = {
+            trunk: new THREE.MeshStandardMaterial({ color: 0x6B4226, roughness: 0.9 }),
+            leaves: new THREE.MeshStandardMaterial({ color: 0x2E7D32, roughness: 0.8 }),
+            palmLeaves: new THREE.MeshStandardMaterial({ color: 0x4CAF50, roughness: 0.8 }),
+            lampPost: new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.5, metalness: 0.6 }),
+            lampLight: new THREE.MeshStandardMaterial({ color: 0xFFFFEE, emissive: 0xFFEEAA, emissiveIntensity: 0.2 }),
+            containers: [
+                new THREE.MeshStandardMaterial({ color: 0xB03A2E, roughness: 0.7, metalness: 0.4 }),
+                new THREE.MeshStandardMaterial({ color: 0x1F618D, roughness: 0.7, metalness: 0.4 }),
+                new THREE.MeshStandardMaterial({ color: 0xD68910, roughness: 0.7, metalness: 0.4 })
+            ]
+        };
+        
+        // Land, quay walls, seabed and water
+        this.materials.land = {
+            grass: new THREE.MeshStandardMaterial({ color: 0x1a5e1a, roughness: 0.8, metalness: 0.1 }), // Dark green
+            quay: new THREE.MeshStandardMaterial({ color: 0x77706A, roughness: 0.9, metalness: 0.1 }),
+            seabed: new THREE.MeshStandardMaterial({ color: 0xC2B280, roughness: 1.0, metalness: 0.0 }),
+            water: new THREE.MeshStandardMaterial({
+                color: 0x1E5C8A,
+                roughness: 0.1,
+                metalness: 0.3,
+                transparent: true,
+                opacity: 0.8
+            })
+        };
+        
+        // Windows that light up at night - identical to regular windows during the day
+        this.materials.buildingWindowsLit = this.materials.buildingWindows.clone();
+        this.windowDayEmissive = new THREE.Color(0x112233);
+        this.windowNightEmissive = new THREE.Color(0xFFCC77);
+        
+        // Window transforms collected while generating buildings, rendered as instanced meshes
+        this.windowInstances = { unlit: [], lit: [] };
+        this.windowGeometry = new THREE.PlaneGeometry(1, 1); // Unit plane scaled per instance
+        
         // Initialize city components
-        this.createCityLayout();
+        this.createCityLayout(options.focus || new THREE.Vector3());
     }
     
     /**
      * Create the entire city layout
+     * @param {THREE.Vector3} focus - Point to load chunks around when streaming
      */
-    createCityLayout() {
+    createCityLayout(focus) {
         // Create the ground plane for the city
         this.createGround();
         
-        // Create the road network first
-        this.createRoadNetwork();
+        // Record the lane network for traffic, GPS and missions
+        this.buildRoadGraph();
         
-        // Create buildings in the blocks
-        this.createBuildings();
+        // Signal timing runs for every intersection, whether or not its chunk is loaded
+        this.addTrafficSignals();
         
-        // Add some decorative elements
-        this.createDecorations();
+        // Build the roads, buildings and props, either all at once or just around the focus point
+        if (this.streaming) {
+            this.updateStreaming(focus);
+        } else {
+            for (let x = 0; x < this.chunkCount; x++) {
+                for (let z = 0; z < this.chunkCount; z++) {
+                    this.loadChunk(x, z);
+                }
+            }
+        }
     }
     
     /**
-     * Create the ground plane for the city
+     * Create the land the city stands on, with canals cut through it and the sea around it
+     * The land reaches half the city's size beyond its edges, except on the coast where a strip of
+     * beach runs down to the sea
      */
     createGround() {
-        const totalSize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
-        const groundGeometry = new THREE.PlaneGeometry(totalSize * 1.5, totalSize * 1.5);
-        const groundMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x1a5e1a, // Dark green for surrounding areas
-            roughness: 0.8,
-            metalness: 0.1
+        const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
+        const landHalf = citySize * 0.75;
+        const coastSide = this.districts.coastSide;
+        const coastSign = coastSide % 2 ? 1 : -1;
+        
+        // Land edges: minX, maxX, minZ, maxZ (in the same order as coast sides)
+        const bounds = [-landHalf, landHalf, -landHalf, landHalf];
+        bounds[coastSide] = coastSign * (citySize / 2 + this.beachWidth);
+        
+        if (!this.canals) {
+            this.canals = this.planCanals(citySize / 2, landHalf);
+        }
+        
+        // Split the land into rectangles between the canals, and at the city's edge on the coast for the beach
+        const coastEdge = coastSign * citySize / 2;
+        const xRanges = this.getLandRanges(bounds[0], bounds[1], this.canals.filter(canal => canal.axis === 'z'),
+            coastSide < 2 ? coastEdge : null);
+        const zRanges = this.getLandRanges(bounds[2], bounds[3], this.canals.filter(canal => canal.axis === 'x'),
+            coastSide >= 2 ? coastEdge : null);
+        
+        xRanges.forEach(([minX, maxX]) => {
+            zRanges.forEach(([minZ, maxZ]) => {
+                const center = coastSide < 2 ? (minX + maxX) / 2 : (minZ + maxZ) / 2;
+                this.createLand(minX, maxX, minZ, maxZ, center * coastSign > citySize / 2);
+            });
         });
         
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-        ground.position.y = -0.01; // Slightly below to avoid z-fighting
-        ground.receiveShadow = true;
+        this.createSea(bounds, landHalf * 6);
+    }
+    
+    /**
+     * Plan the canals from the seed: one through the land beyond the industrial side (far from the coast),
+     * and sometimes a second one beside the city
+     * @param {number} cityHalf - Distance from the center to the city's edge
+     * @param {number} landHalf - Distance from the center to the land's edge
+     * @returns {Array<object>} - Canals { axis (direction they run in), offset (across it), width }
+     */
+    planCanals(cityHalf, landHalf) {
+        const random = this.random.fork(5);
+        const coastSide = this.districts.coastSide;
+        const sides = [coastSide ^ 1];
+        if (random.next() < 0.5) {
+            sides.push(random.pick(coastSide < 2 ? [2, 3] : [0, 1]));
+        }
         
-        this.add(ground);
+        // Canals run along their side, halfway between the city and the sea
+        return sides.map(side => ({
+            axis: side < 2 ? 'z' : 'x',
+            offset: (side % 2 ? 1 : -1) * (cityHalf + landHalf) / 2,
+            width: 10
+        }));
     }
     
     /**
-     * Create the road network between blocks
+     * Split the land along one axis into the stretches between canals
+     * @param {number} min - Land edge
+     * @param {number} max - Opposite land edge
+     * @param {Array<object>} canals - Canals crossing the axis
+     * @param {number|null} cut - Extra split point (the edge of the beach)
+     * @returns {Array<Array<number>>} - [start, end] of each stretch
      */
-    createRoadNetwork() {
-        const totalBlockSize = this.blockSize + this.roadWidth;
+    getLandRanges(min, max, canals, cut) {
+        const ranges = [];
+        let start = min;
+        
+        [...canals].sort((a, b) => a.offset - b.offset).forEach(canal => {
+            ranges.push([start, canal.offset - canal.width / 2]);
+            start = canal.offset + canal.width / 2;
+        });
+        ranges.push([start, max]);
+        
+        return ranges.flatMap(([a, b]) => (cut !== null && cut > a && cut < b) ? [[a, cut], [cut, b]] : [[a, b]]);
+    }
+    
+    /**
+     * Create a rectangle of land, solid from the ground down to the seabed so its sides are quay walls
+     * @param {number} minX - Western edge
+     * @param {number} maxX - Eastern edge
+     * @param {number} minZ - Northern edge
+     * @param {number} maxZ - Southern edge
+     * @param {boolean} beach - Whether it's beach sand rather than grass
+     */
+    createLand(minX, maxX, minZ, maxZ, beach) {
+        const width = maxX - minX;
+        const depth = maxZ - minZ;
+        const height = this.seaDepth - this.waterLevel;
+        const x = (minX + maxX) / 2;
+        const z = (minZ + maxZ) / 2;
+        
+        // Box faces: +x, -x, top, bottom, +z, -z
+        const { grass, quay } = this.materials.land;
+        const top = beach ? this.materials.districts.beach.ground : grass;
+        const land = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), [quay, quay, top, quay, quay, quay]);
+        land.position.set(x, -height / 2 - 0.01, z); // Slightly below to avoid z-fighting
+        land.receiveShadow = true;
+        
+        this.add(land);
+        
+        // Matching physics ground, always loaded so nothing falls through unloaded chunks
+        if (this.physics) {
+            this.groundBodies.push(this.physics.createBox({
+                width,
+                height,
+                depth,
+                mass: 0,
+                position: new THREE.Vector3(x, -height / 2, z),
+                surface: beach ? 'sand' : 'grass',
+                userData: { type: 'ground', mesh: land }
+            }));
+        }
+    }
+    
+    /**
+     * Create the sea around the land and register it and the canals as water volumes
+     * @param {Array<number>} bounds - Land edges: minX, maxX, minZ, maxZ
+     * @param {number} seaSize - Size of the sea along each side
+     */
+    createSea(bounds, seaSize) {
+        const [minX, maxX, minZ, maxZ] = bounds;
+        const seaHalf = seaSize / 2;
+        const bottom = this.waterLevel - this.seaDepth;
         
-        // Calculate city bounds for positioning
+        // One water plane for the sea and canals - the land hides it everywhere else
+        const water = new THREE.Mesh(new THREE.PlaneGeometry(seaSize, seaSize), this.materials.land.water);
+        water.rotation.x = -Math.PI / 2;
+        water.position.y = this.waterLevel;
+        this.add(water);
+        
+        const seabed = new THREE.Mesh(new THREE.PlaneGeometry(seaSize, seaSize), this.materials.land.seabed);
+        seabed.rotation.x = -Math.PI / 2;
+        seabed.position.y = bottom;
+        seabed.receiveShadow = true;
+        this.add(seabed);
+        
+        if (this.physics) {
+            this.groundBodies.push(this.physics.createBox({
+                width: seaSize,
+                height: 1,
+                depth: seaSize,
+                mass: 0,
+                position: new THREE.Vector3(0, bottom - 0.5, 0),
+                surface: 'sand',
+                userData: { type: 'ground', mesh: seabed }
+            }));
+        }
+        
+        // The sea on each side of the land, then the canals through it
+        const volumes = [
+            { type: 'sea', minX: -seaHalf, maxX: minX, minZ: -seaHalf, maxZ: seaHalf },
+            { type: 'sea', minX: maxX, maxX: seaHalf, minZ: -seaHalf, maxZ: seaHalf },
+            { type: 'sea', minX, maxX, minZ: -seaHalf, maxZ: minZ },
+            { type: 'sea', minX, maxX, minZ: maxZ, maxZ: seaHalf }
+        ];
+        
+        this.canals.forEach(canal => {
+            const across = [canal.offset - canal.width / 2, canal.offset + canal.width / 2];
+            volumes.push(canal.axis === 'x'
+                ? { type: 'canal', minX, maxX, minZ: across[0], maxZ: across[1] }
+                : { type: 'canal', minX: across[0], maxX: across[1], minZ, maxZ });
+        });
+        
+        this.waterVolumes = volumes.map(volume => {
+            const waterVolume = { ...volume, level: this.waterLevel, bottom };
+            return this.physics ? this.physics.addWaterVolume(waterVolume) : waterVolume;
+        });
+    }
+    
+    /**
+     * Get the center of a block along one axis
+     * @param {number} index - Block index along the axis
+     * @returns {number} - World coordinate of the block center
+     */
+    getBlockCenter(index) {
         const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
-        const cityHalfSize = citySize / 2;
+        return -citySize / 2 + this.blockSize / 2 + index * (this.blockSize + this.roadWidth);
+    }
+    
+    /**
+     * Get the index of the block containing a coordinate along one axis (clamped to the city)
+     * Positions on a road map to the block before it
+     * @param {number} value - World coordinate
+     * @returns {number} - Block index
+     */
+    getBlockIndex(value) {
+        const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
+        const index = Math.floor((value + citySize / 2) / (this.blockSize + this.roadWidth));
+        return THREE.MathUtils.clamp(index, 0, this.size - 1);
+    }
+    
+    /**
+     * Get the district at a world position
+     * @param {number} x - World x position
+     * @param {number} z - World z position
+     * @returns {object|null} - District definition (type, name, npcDensity, ambience, ...), or null outside the city
+     */
+    getDistrictAt(x, z) {
+        const cityHalfSize = (this.size * this.blockSize + (this.size - 1) * this.roadWidth) / 2;
+        if (Math.abs(x) > cityHalfSize || Math.abs(z) > cityHalfSize) return null;
         
-        // Create horizontal roads
-        for (let i = 0; i < this.size - 1; i++) {
-            const roadX = -cityHalfSize + this.blockSize + (i * totalBlockSize) + this.roadWidth / 2;
-            
-            const roadGeometry = new THREE.PlaneGeometry(this.roadWidth, citySize);
-            const road = new THREE.Mesh(roadGeometry, this.materials.road);
-            road.rotation.x = -Math.PI / 2; // Horizontal plane
-            road.position.set(roadX, 0.05, 0); // Slightly above ground to avoid z-fighting
-            road.receiveShadow = true;
+        return this.districts.getDistrict(this.getBlockIndex(x), this.getBlockIndex(z));
+    }
+    
+    /**
+     * Get the center line of a road along one axis
+     * @param {number} index - Road index (road i runs between block i and block i + 1)
+     * @returns {number} - World coordinate of the road center line
+     */
+    getRoadOffset(index) {
+        return this.getBlockCenter(index) + this.blockSize / 2 + this.roadWidth / 2;
+    }
+    
+    /**
+     * Create the roads belonging to a grid cell
+     * A cell owns the road past its +x side (including the intersection beyond its +z side)
+     * and the road past its +z side, so every piece of road belongs to exactly one cell
+     * @param {number} i - Block index along x
+     * @param {number} j - Block index along z
+     */
+    createRoadsInCell(i, j) {
+        const blockX = this.getBlockCenter(i);
+        const blockZ = this.getBlockCenter(j);
+        const sidewalkOffset = this.roadWidth / 2 - this.sidewalkWidth / 2;
+        
+        // Road running along z
+        if (i < this.size - 1) {
+            const roadX = this.getRoadOffset(i);
+            const length = this.blockSize + (j < this.size - 1 ? this.roadWidth : 0);
+            this.createRoadSegment(roadX, blockZ - this.blockSize / 2 + length / 2, this.roadWidth, length);
             
-            this.add(road);
+            // Add sidewalks on both sides of the road, one segment per block so intersections stay open
+            this.createSidewalk(roadX - sidewalkOffset, this.curbHeight, blockZ, this.sidewalkWidth, this.blockSize);
+            this.createSidewalk(roadX + sidewalkOffset, this.curbHeight, blockZ, this.sidewalkWidth, this.blockSize);
+        }
+        
+        // Road running along x
+        if (j < this.size - 1) {
+            const roadZ = this.getRoadOffset(j);
+            this.createRoadSegment(blockX, roadZ, this.blockSize, this.roadWidth);
             
-            // Add sidewalks on both sides of the road
-            this.createSidewalk(roadX - (this.roadWidth / 2 - this.sidewalkWidth / 2), 0.1, 0, this.sidewalkWidth, citySize);
-            this.createSidewalk(roadX + (this.roadWidth / 2 - this.sidewalkWidth / 2), 0.1, 0, this.sidewalkWidth, citySize);
+            this.createSidewalk(blockX, this.curbHeight, roadZ - sidewalkOffset, this.blockSize, this.sidewalkWidth);
+            this.createSidewalk(blockX, this.curbHeight, roadZ + sidewalkOffset, this.blockSize, this.sidewalkWidth);
         }
+    }
+    
+    /**
+     * Create a flat piece of road surface
+     * @param {number} x - Center x position
+     * @param {number} z - Center z position
+     * @param {number} width - Size along x
+     * @param {number} length - Size along z
+     */
+    createRoadSegment(x, z, width, length) {
+        const roadGeometry = new THREE.PlaneGeometry(width, length);
+        const road = new THREE.Mesh(roadGeometry, this.materials.road);
+        road.rotation.x = -Math.PI / 2; // Horizontal plane
+        road.position.set(x, 0.05, z); // Slightly above ground to avoid z-fighting
+        road.receiveShadow = true;
+        
+        this.addToChunk(road);
+        this.createGroundSurface(road, x, z, width, length, 'asphalt');
+    }
+    
+    /**
+     * Build the road graph from the grid layout
+     * Intersections sit where roads cross, and each road also has a node where it leaves the city
+     */
+    buildRoadGraph() {
+        const totalBlockSize = this.blockSize + this.roadWidth;
+        const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
+        const cityHalfSize = citySize / 2;
+        const roadCount = this.size - 1;
+        
+        // Drivable width between the sidewalks, split into one lane per direction
+        const laneOptions = {
+            width: (this.roadWidth - 2 * this.sidewalkWidth) / 2,
+            speedLimit: this.speedLimit
+        };
         
-        // Create vertical roads
-        for (let j = 0; j < this.size - 1; j++) {
-            const roadZ = -cityHalfSize + this.blockSize + (j * totalBlockSize) + this.roadWidth / 2;
+        // Road center lines (the same offsets are used for roads along both axes)
+        const roadOffsets = [];
+        for (let i = 0; i < roadCount; i++) {
+            roadOffsets.push(-cityHalfSize + this.blockSize + (i * totalBlockSize) + this.roadWidth / 2);
+        }
+        
+        // Intersections
+        for (let i = 0; i < roadCount; i++) {
+            for (let j = 0; j < roadCount; j++) {
+                this.roadGraph.addNode(
+                    this.getIntersectionId(i, j),
+                    new THREE.Vector3(roadOffsets[i], 0, roadOffsets[j]),
+                    { type: 'intersection', gridI: i, gridJ: j }
+                );
+            }
+        }
+        
+        for (let i = 0; i < roadCount; i++) {
+            // Road running along z at x = roadOffsets[i]
+            const startZ = `end_x${i}_start`;
+            const endZ = `end_x${i}_end`;
+            this.roadGraph.addNode(startZ, new THREE.Vector3(roadOffsets[i], 0, -cityHalfSize), { type: 'end' });
+            this.roadGraph.addNode(endZ, new THREE.Vector3(roadOffsets[i], 0, cityHalfSize), { type: 'end' });
+            
+            const alongZ = [startZ];
+            for (let j = 0; j < roadCount; j++) alongZ.push(this.getIntersectionId(i, j));
+            alongZ.push(endZ);
             
-            const roadGeometry = new THREE.PlaneGeometry(citySize, this.roadWidth);
-            const road = new THREE.Mesh(roadGeometry, this.materials.road);
-            road.rotation.x = -Math.PI / 2; // Horizontal plane
-            road.position.set(0, 0.05, roadZ); // Slightly above ground to avoid z-fighting
-            road.receiveShadow = true;
+            // Road running along x at z = roadOffsets[i]
+            const startX = `end_z${i}_start`;
+            const endX = `end_z${i}_end`;
+            this.roadGraph.addNode(startX, new THREE.Vector3(-cityHalfSize, 0, roadOffsets[i]), { type: 'end' });
+            this.roadGraph.addNode(endX, new THREE.Vector3(cityHalfSize, 0, roadOffsets[i]), { type: 'end' });
             
-            this.add(road);
+            const alongX = [startX];
+            for (let j = 0; j < roadCount; j++) alongX.push(this.getIntersectionId(j, i));
+            alongX.push(endX);
             
-            // Add sidewalks on both sides of the road
-            this.createSidewalk(0, 0.1, roadZ - (this.roadWidth / 2 - this.sidewalkWidth / 2), citySize, this.sidewalkWidth);
-            this.createSidewalk(0, 0.1, roadZ + (this.roadWidth / 2 - this.sidewalkWidth / 2), citySize, this.sidewalkWidth);
+            // Two-way lanes between consecutive nodes
+            for (let k = 1; k < alongZ.length; k++) {
+                this.roadGraph.addRoad(alongZ[k - 1], alongZ[k], { ...laneOptions, roadId: `road_x${i}` });
+                this.roadGraph.addRoad(alongX[k - 1], alongX[k], { ...laneOptions, roadId: `road_z${i}` });
+            }
         }
     }
     
+    /**
+     * Get the road graph node id of an intersection
+     * @param {number} i - Index of the road running along z
+     * @param {number} j - Index of the road running along x
+     * @returns {string} - Intersection node id
+     */
+    getIntersectionId(i, j) {
+        return `intersection_${i}_${j}`;
+    }
+    
+    /**
+     * Find the lane closest to a position
+     * @param {THREE.Vector3} position - World position
+     * @param {THREE.Vector3} heading - Optional direction of travel to match
+     * @returns {object|null} - The closest lane
+     */
+    getNearestLane(position, heading = null) {
+        return this.roadGraph.getNearestLane(position, heading);
+    }
+    
+    /**
+     * Find a driving route between two positions
+     * @param {THREE.Vector3} from - Start position
+     * @param {THREE.Vector3} to - Destination position
+     * @returns {object|null} - Route with lanes, waypoints and distance
+     */
+    findRoute(from, to) {
+        return this.roadGraph.findRoute(from, to);
+    }
+    
     /**
      * Create a sidewalk segment
      */
@@ -140,38 +553,101 @@ export class City extends THREE.Group {
         sidewalk.position.set(x, y, z);
         sidewalk.receiveShadow = true;
         
-        this.add(sidewalk);
+        this.addToChunk(sidewalk);
+        
+        // Raised curb the full height of the sidewalk surface
+        this.createStaticBox('curb', sidewalk, x, y / 2, z, width, y, length, 'concrete');
     }
     
     /**
-     * Create buildings in each city block
+     * Get the layout of a block - district, buildings and props as plain data
+     * Generated from the seed on first use, or taken from an imported layout (see fromJSON)
+     * @param {number} i - Block index along x
+     * @param {number} j - Block index along z
+     * @returns {object} - Block layout { district, buildings, props }
      */
-    createBuildings() {
-        const totalBlockSize = this.blockSize + this.roadWidth;
+    getBlockLayout(i, j) {
+        const key = `${i}_${j}`;
         
-        // Calculate city bounds for positioning
-        const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
-        const cityHalfSize = citySize / 2;
+        if (!this.blockLayouts.has(key)) {
+            this.blockLayouts.set(key, this.generateBlockLayout(i, j));
+        }
         
-        // Create buildings in each block
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                // Calculate block center position
-                const blockX = -cityHalfSize + (this.blockSize / 2) + (i * totalBlockSize);
-                const blockZ = -cityHalfSize + (this.blockSize / 2) + (j * totalBlockSize);
-                
-                // Create multiple buildings in each block
-                this.createBuildingsInBlock(blockX, blockZ, i, j);
-            }
+        return this.blockLayouts.get(key);
+    }
+    
+    /**
+     * Generate the layout of a block from the seed and the block's district
+     * @param {number} i - Block index along x
+     * @param {number} j - Block index along z
+     * @returns {object} - Block layout { district, buildings, props }
+     */
+    generateBlockLayout(i, j) {
+        const blockX = this.getBlockCenter(i);
+        const blockZ = this.getBlockCenter(j);
+        const district = this.districts.getDistrict(i, j);
+        
+        return {
+            district: district.type,
+            buildings: this.generateBuildingsInBlock(blockX, blockZ, i, j, district),
+            props: this.generatePropsInBlock(blockX, blockZ, i, j, district)
+        };
+    }
+    
+    /**
+     * Create a city block - ground, buildings and props from the block's layout
+     * @param {number} i - Block index along x
+     * @param {number} j - Block index along z
+     */
+    createBlock(i, j) {
+        const layout = this.getBlockLayout(i, j);
+        const district = DISTRICT_TYPES[layout.district];
+        const materials = this.materials.districts[layout.district].buildings;
+        
+        // Separate stream for which windows light up, so it doesn't depend on the building layout
+        const windowRandom = this.random.fork(i, j, 2);
+        
+        this.createBlockGround(this.getBlockCenter(i), this.getBlockCenter(j), district);
+        
+        layout.buildings.forEach(building => {
+            const material = materials[building.material] || materials[0];
+            this.createBuilding(building.x, building.z, building.width, building.depth, building.height, material, windowRandom);
+        });
+        
+        layout.props.forEach(prop => this.createProp(prop));
+    }
+    
+    /**
+     * Cover a block with its district's ground (sand, plaza, lawn...)
+     * @param {number} blockX - Block center x
+     * @param {number} blockZ - Block center z
+     * @param {object} district - District definition
+     */
+    createBlockGround(blockX, blockZ, district) {
+        const material = this.materials.districts[district.type].ground;
+        if (!material) return;
+        
+        const groundGeometry = new THREE.PlaneGeometry(this.blockSize, this.blockSize);
+        const ground = new THREE.Mesh(groundGeometry, material);
+        ground.rotation.x = -Math.PI / 2; // Horizontal plane
+        ground.position.set(blockX, 0.02, blockZ); // Between the city ground and the roads
+        ground.receiveShadow = true;
+        
+        this.addToChunk(ground);
+        
+        if (district.groundSurface) {
+            this.createGroundSurface(ground, blockX, blockZ, this.blockSize, this.blockSize, district.groundSurface);
         }
     }
     
     /**
-     * Create buildings within a single city block
+     * Generate the buildings of a single city block
+     * @param {object} district - District definition with the zoning rules for the block
+     * @returns {Array} - Buildings { x, z, width, depth, height, material }
      */
-    createBuildingsInBlock(blockX, blockZ, gridI, gridJ) {
-        // Number of potential building spots in the block
-        const spots = 4;
+    generateBuildingsInBlock(blockX, blockZ, gridI, gridJ, district) {
+        // Each block gets its own generator so its layout doesn't depend on generation order
+        const random = this.random.fork(gridI, gridJ);
         
         // Block size with margin for buildings
         const effectiveBlockSize = this.blockSize - 4;
@@ -186,27 +662,234 @@ export class City extends THREE.Group {
         ];
         
         // Create buildings on some or all positions
-        const buildingCount = 2 + Math.floor(Math.random() * 3); // 2-4 buildings per block
+        const [minBuildings, maxBuildings] = district.buildingsPerBlock;
+        const buildingCount = random.int(minBuildings, maxBuildings);
+        const [minHeight, maxHeight] = district.heightRange;
+        const [minFootprint, maxFootprint] = district.footprint;
+        const buildings = [];
         
         for (let i = 0; i < buildingCount; i++) {
             const pos = positions[i];
             
-            // Randomize building size
-            const width = 2 + Math.random() * (subBlockSize - 4);
-            const depth = 2 + Math.random() * (subBlockSize - 4);
-            const height = this.buildingMinHeight + Math.random() * (this.buildingMaxHeight - this.buildingMinHeight);
+            // Randomize building size within the district's zoning
+            const width = subBlockSize * random.range(minFootprint, maxFootprint);
+            const depth = subBlockSize * random.range(minFootprint, maxFootprint);
+            const height = minHeight + Math.pow(random.next(), district.heightBias) * (maxHeight - minHeight);
             
-            // Choose material
-            const materialIndex = Math.floor(Math.random() * this.materials.building.length);
+            // Choose material (index into the district's building materials)
+            const material = random.int(0, district.buildingMaterials.length - 1);
             
-            this.createBuilding(pos.x, pos.z, width, depth, height, this.materials.building[materialIndex]);
+            buildings.push({ x: pos.x, z: pos.z, width, depth, height, material });
         }
+        
+        return buildings;
+    }
+    
+    /**
+     * Generate a district's props (trees, street lamps, containers...) for a block
+     * @param {number} blockX - Block center x
+     * @param {number} blockZ - Block center z
+     * @param {number} gridI - Block index along x
+     * @param {number} gridJ - Block index along z
+     * @param {object} district - District definition
+     * @returns {Array} - Props, each with a type and the parameters its create method needs
+     */
+    generatePropsInBlock(blockX, blockZ, gridI, gridJ, district) {
+        const random = this.random.fork(gridI, gridJ, 4);
+        const { streetLamps, trees, palms, containers } = district.decorations;
+        const edge = this.blockSize / 2 - 1; // Just inside the block, next to the sidewalk
+        const props = [];
+        
+        // Street lamps on the block corners
+        if (streetLamps) {
+            [[-1, -1], [1, -1], [-1, 1], [1, 1]].forEach(([sx, sz]) => {
+                props.push({ type: 'streetLamp', x: blockX + sx * edge, z: blockZ + sz * edge });
+            });
+        }
+        
+        // Trees - anywhere in parks, along the block edges elsewhere (between the buildings and the street)
+        if (trees) {
+            const count = random.int(trees[0], trees[1]);
+            for (let k = 0; k < count; k++) {
+                let x;
+                let z;
+                
+                if (district.buildingsPerBlock[1] === 0) {
+                    x = random.range(-edge, edge);
+                    z = random.range(-edge, edge);
+                } else {
+                    const along = random.range(-edge + 2, edge - 2);
+                    const side = random.pick([-edge, edge]);
+                    [x, z] = random.next() < 0.5 ? [along, side] : [side, along];
+                }
+                
+                props.push({
+                    type: 'tree',
+                    x: blockX + x,
+                    z: blockZ + z,
+                    height: random.range(3, 5),
+                    crownRadius: random.range(1.2, 2)
+                });
+            }
+        }
+        
+        // Palm trees scattered over the sand
+        if (palms) {
+            const count = random.int(palms[0], palms[1]);
+            for (let k = 0; k < count; k++) {
+                props.push({
+                    type: 'palm',
+                    x: blockX + random.range(-edge, edge),
+                    z: blockZ + random.range(-edge, edge),
+                    height: random.range(5, 8),
+                    rotation: random.next() * Math.PI
+                });
+            }
+        }
+        
+        // Shipping containers lined up along the block edges
+        if (containers) {
+            const count = random.int(containers[0], containers[1]);
+            for (let k = 0; k < count; k++) {
+                const along = random.range(-edge + 4, edge - 4);
+                const side = random.pick([-edge + 0.2, edge - 0.2]);
+                const alongX = random.next() < 0.5;
+                
+                props.push({
+                    type: 'container',
+                    x: blockX + (alongX ? along : side),
+                    z: blockZ + (alongX ? side : along),
+                    rotation: alongX ? 0 : Math.PI / 2,
+                    material: random.int(0, this.materials.decorations.containers.length - 1)
+                });
+            }
+        }
+        
+        return props;
+    }
+    
+    /**
+     * Create a prop from its layout data
+     * @param {object} prop - Prop data (see generatePropsInBlock)
+     */
+    createProp(prop) {
+        switch (prop.type) {
+            case 'tree':
+                this.createTree(prop);
+                break;
+            case 'palm':
+                this.createPalmTree(prop);
+                break;
+            case 'streetLamp':
+                this.createStreetLamp(prop);
+                break;
+            case 'container':
+                this.createContainer(prop);
+                break;
+            default:
+                console.warn(`Unknown prop type: ${prop.type}`);
+        }
+    }
+    
+    /**
+     * Create a tree with a static trunk body
+     * @param {object} prop - Tree data { x, z, height, crownRadius }
+     */
+    createTree({ x, z, height = 4, crownRadius = 1.5 }) {
+        const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.3, height, 6), this.materials.decorations.trunk);
+        trunk.position.set(x, height / 2, z);
+        trunk.castShadow = true;
+        
+        const crown = new THREE.Mesh(new THREE.SphereGeometry(crownRadius, 8, 6), this.materials.decorations.leaves);
+        crown.position.set(x, height + crownRadius * 0.6, z);
+        crown.castShadow = true;
+        
+        const tree = new THREE.Group();
+        tree.add(trunk);
+        tree.add(crown);
+        this.addToChunk(tree);
+        
+        this.createStaticCylinder('prop', tree, x, height / 2, z, 0.3, height);
+    }
+    
+    /**
+     * Create a palm tree with a static trunk body
+     * @param {object} prop - Palm data { x, z, height, rotation }
+     */
+    createPalmTree({ x, z, height = 6, rotation = 0 }) {
+        const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.25, height, 6), this.materials.decorations.trunk);
+        trunk.position.set(x, height / 2, z);
+        trunk.castShadow = true;
+        
+        const palm = new THREE.Group();
+        palm.add(trunk);
+        
+        // Fronds fanning out from the top
+        const frondCount = 6;
+        for (let k = 0; k < frondCount; k++) {
+            const frond = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.05, 2.5), this.materials.decorations.palmLeaves);
+            const angle = rotation + (k / frondCount) * Math.PI * 2;
+            frond.position.set(x + Math.sin(angle) * 1.1, height, z + Math.cos(angle) * 1.1);
+            frond.rotation.set(0.4, angle, 0, 'YXZ'); // Droop outward
+            frond.castShadow = true;
+            palm.add(frond);
+        }
+        
+        this.addToChunk(palm);
+        
+        this.createStaticCylinder('prop', palm, x, height / 2, z, 0.25, height);
+    }
+    
+    /**
+     * Create a street lamp with a static pole body
+     * @param {object} prop - Lamp data { x, z }
+     */
+    createStreetLamp({ x, z }) {
+        const height = 6;
+        
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.12, height, 8), this.materials.decorations.lampPost);
+        pole.position.set(x, height / 2, z);
+        pole.castShadow = true;
+        
+        const lamp = new THREE.Mesh(new THREE.SphereGeometry(0.35, 12, 8), this.materials.decorations.lampLight);
+        lamp.position.set(x, height + 0.2, z);
+        
+        const streetLamp = new THREE.Group();
+        streetLamp.add(pole);
+        streetLamp.add(lamp);
+        this.addToChunk(streetLamp);
+        
+        this.createStaticCylinder('prop', streetLamp, x, height / 2, z, 0.12, height);
+    }
+    
+    /**
+     * Create a shipping container with a static body
+     * @param {object} prop - Container data { x, z, rotation (0 or PI / 2), material (paint index) }
+     */
+    createContainer({ x, z, rotation = 0, material = 0 }) {
+        const length = 6;
+        const width = 2.4;
+        const height = 2.6;
+        const paint = this.materials.decorations.containers[material] || this.materials.decorations.containers[0];
+        
+        const container = new THREE.Mesh(new THREE.BoxGeometry(length, height, width), paint);
+        container.position.set(x, height / 2, z);
+        container.rotation.y = rotation;
+        container.castShadow = true;
+        container.receiveShadow = true;
+        
+        this.addToChunk(container);
+        
+        // Rotations are quarter turns, so swap the extents instead of rotating the body
+        const alongX = Math.abs(Math.sin(rotation)) < 0.5;
+        this.createStaticBox('prop', container, x, height / 2, z, alongX ? length : width, height, alongX ? width : length);
     }
     
     /**
      * Create a single building
+     * @param {SeededRandom} windowRandom - Generator deciding which windows light up at night
      */
-    createBuilding(x, z, width, depth, height, material) {
+    createBuilding(x, z, width, depth, height, material, windowRandom = this.random) {
         // Building base
         const buildingGeometry = new THREE.BoxGeometry(width, height, depth);
         const building = new THREE.Mesh(buildingGeometry, material);
@@ -216,20 +899,25 @@ export class City extends THREE.Group {
         building.castShadow = true;
         building.receiveShadow = true;
         
-        this.add(building);
+        this.addToChunk(building);
+        
+        // Solid footprint so characters and vehicles can't pass through
+        this.createStaticBox('building', building, x, height / 2, z, width, height, depth, 'concrete');
         
         // Add windows (simplified representation)
-        this.addBuildingWindows(x, z, width, depth, height);
+        this.addBuildingWindows(x, z, width, depth, height, windowRandom);
     }
     
     /**
      * Add windows to a building
+     * @param {SeededRandom} random - Generator deciding which windows light up at night
      */
-    addBuildingWindows(x, z, width, depth, height) {
+    addBuildingWindows(x, z, width, depth, height, random = this.random) {
         // Calculate rows and columns of windows
         const windowSize = 1.2;
         const windowSpacing = 2;
-        const windowInset = 0.05;
+        const windowOffset = 0.05; // Distance in front of the wall to avoid z-fighting
+        const isLit = () => random.next() < this.litWindowRatio;
         
         const rows = Math.floor((height - 4) / windowSpacing);
         const colsWidth = Math.floor((width - 2) / windowSpacing);
@@ -253,18 +941,20 @@ export class City extends THREE.Group {
                 this.createWindow(
                     x + windowX,
                     windowY,
-                    z + depth / 2 - windowInset,
+                    z + depth / 2 + windowOffset,
                     windowSize, windowSize,
-                    0, 0, 0
+                    0, 0, 0,
+                    isLit()
                 );
                 
                 // Back face windows
                 this.createWindow(
                     x + windowX,
                     windowY,
-                    z - depth / 2 + windowInset,
+                    z - depth / 2 - windowOffset,
                     windowSize, windowSize,
-                    0, Math.PI, 0
+                    0, Math.PI, 0,
+                    isLit()
                 );
             }
             
@@ -273,20 +963,22 @@ export class City extends THREE.Group {
                 
                 // Right face windows
                 this.createWindow(
-                    x + width / 2 - windowInset,
+                    x + width / 2 + windowOffset,
                     windowY,
                     z + windowZ,
                     windowSize, windowSize,
-                    0, Math.PI / 2, 0
+                    0, Math.PI / 2, 0,
+                    isLit()
                 );
                 
                 // Left face windows
                 this.createWindow(
-                    x - width / 2 + windowInset,
+                    x - width / 2 - windowOffset,
                     windowY,
                     z + windowZ,
                     windowSize, windowSize,
-                    0, -Math.PI / 2, 0
+                    0, -Math.PI / 2, 0,
+                    isLit()
                 );
             }
         }
@@ -294,54 +986,123 @@ export class City extends THREE.Group {
     
     /**
      * Create a window for a building
+     * Windows are recorded as instance transforms and drawn in batches by createWindowMeshes
+     * @param {boolean} lit - Whether the window lights up at night
      */
-    createWindow(x, y, z, width, height, rotX, rotY, rotZ) {
-        const windowGeometry = new THREE.PlaneGeometry(width, height);
-        const window = new THREE.Mesh(windowGeometry, this.materials.buildingWindows);
-        
-        window.position.set(x, y, z);
-        window.rotation.set(rotX, rotY, rotZ);
+    createWindow(x, y, z, width, height, rotX, rotY, rotZ, lit = false) {
+        const matrix = new THREE.Matrix4().compose(
+            new THREE.Vector3(x, y, z),
+            new THREE.Quaternion().setFromEuler(new THREE.Euler(rotX, rotY, rotZ)),
+            new THREE.Vector3(width, height, 1)
+        );
         
-        this.add(window);
+        this.windowInstances[lit ? 'lit' : 'unlit'].push(matrix);
     }
     
     /**
-     * Add decorative elements to the city
+     * Turn the collected window transforms into instanced meshes (one draw call per material and chunk)
      */
-    createDecorations() {
-        // Could add things like street lamps, traffic lights, etc.
-        // For simplicity, we'll just add some basic elements
+    createWindowMeshes() {
+        [
+            { matrices: this.windowInstances.unlit, material: this.materials.buildingWindows },
+            { matrices: this.windowInstances.lit, material: this.materials.buildingWindowsLit }
+        ].forEach(({ matrices, material }) => {
+            if (matrices.length === 0) return;
+            
+            const windows = new THREE.InstancedMesh(this.windowGeometry, material, matrices.length);
+            matrices.forEach((matrix, index) => windows.setMatrixAt(index, matrix));
+            windows.instanceMatrix.needsUpdate = true;
+            windows.computeBoundingSphere(); // Cover all instances for frustum culling
+            
+            this.addToChunk(windows);
+        });
         
-        // Add traffic lights at each intersection
-        this.addTrafficLights();
+        // Transforms are baked into the meshes now
+        this.windowInstances = { unlit: [], lit: [] };
     }
     
     /**
-     * Add traffic lights at intersections
+     * Blend the lit windows between their day and night look
+     * @param {number} amount - 0 for day (all windows look the same), 1 for full night lighting
      */
-    addTrafficLights() {
-        const totalBlockSize = this.blockSize + this.roadWidth;
+    setWindowLighting(amount) {
+        const t = THREE.MathUtils.clamp(amount, 0, 1);
+        this.materials.buildingWindowsLit.emissive.lerpColors(this.windowDayEmissive, this.windowNightEmissive, t);
+    }
+    
+    /**
+     * Set all night-time emissives - lit windows, street lamps and traffic light glow
+     * @param {number} amount - 0 for day, 1 for full night (see DayNightCycle.getNightFactor)
+     */
+    setNightLighting(amount) {
+        const t = THREE.MathUtils.clamp(amount, 0, 1);
         
-        // Calculate city bounds for positioning
-        const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
-        const cityHalfSize = citySize / 2;
+        this.setWindowLighting(t);
+        this.materials.decorations.lampLight.emissiveIntensity = THREE.MathUtils.lerp(0.2, 2, t);
+        this.trafficSignals.setGlow(1 + t * 1.5);
+    }
+    
+    /**
+     * Register every intersection with the traffic signal controller
+     */
+    addTrafficSignals() {
+        // Imported layouts list their own signalized intersections
+        if (this.layout) {
+            (this.layout.trafficLights || []).forEach(light => {
+                if (!City.isValidLayoutTrafficLight(light, this.size)) {
+                    const { i, j } = light || {};
+                    console.warn(`Skipping traffic light at invalid intersection ${i}, ${j} in city layout`);
+                    return;
+                }
+                
+                this.trafficSignals.addIntersection(this.getIntersectionId(light.i, light.j), light.offset);
+            });
+            return;
+        }
         
-        // Add traffic lights at each intersection
         for (let i = 0; i < this.size - 1; i++) {
             for (let j = 0; j < this.size - 1; j++) {
-                const x = -cityHalfSize + this.blockSize + (i * totalBlockSize) + this.roadWidth / 2;
-                const z = -cityHalfSize + this.blockSize + (j * totalBlockSize) + this.roadWidth / 2;
-                
-                this.createTrafficLight(x + this.roadWidth / 2 - 1, z - this.roadWidth / 2 + 1);
-                this.createTrafficLight(x - this.roadWidth / 2 + 1, z + this.roadWidth / 2 - 1);
+                // Stagger the cycle so neighbouring intersections don't all change at once
+                const offset = this.random.fork(i, j, 1).next() * this.trafficSignals.cycleLength;
+                this.trafficSignals.addIntersection(this.getIntersectionId(i, j), offset);
             }
         }
     }
     
+    /**
+     * Add the traffic lights of an intersection
+     * @param {number} i - Index of the road running along z
+     * @param {number} j - Index of the road running along x
+     */
+    addTrafficLights(i, j) {
+        const x = this.getRoadOffset(i);
+        const z = this.getRoadOffset(j);
+        const intersectionId = this.getIntersectionId(i, j);
+        
+        // One head per axis: north/south traffic faces along z, east/west traffic along x
+        const zLight = this.createTrafficLight(x + this.roadWidth / 2 - 1, z - this.roadWidth / 2 + 1, 0);
+        const xLight = this.createTrafficLight(x - this.roadWidth / 2 + 1, z + this.roadWidth / 2 - 1, Math.PI / 2);
+        
+        this.trafficSignals.addLight(intersectionId, 'z', zLight.userData.lamps);
+        this.trafficSignals.addLight(intersectionId, 'x', xLight.userData.lamps);
+        
+        // Heads are detached again when the chunk unloads
+        if (this.currentChunk) {
+            this.currentChunk.signalLights.push(
+                { intersectionId, lamps: zLight.userData.lamps },
+                { intersectionId, lamps: xLight.userData.lamps }
+            );
+        }
+    }
+    
     /**
      * Create a traffic light
+     * @param {number} x - Position x
+     * @param {number} z - Position z
+     * @param {number} rotationY - Rotation of the signal head around the pole
+     * @returns {THREE.Group} - Traffic light group, with lamp materials in userData.lamps
      */
-    createTrafficLight(x, z) {
+    createTrafficLight(x, z, rotationY = 0) {
         // Pole
         const poleGeometry = new THREE.CylinderGeometry(0.2, 0.2, 5, 8);
         const poleMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
@@ -354,6 +1115,7 @@ export class City extends THREE.Group {
         const boxMaterial = new THREE.MeshStandardMaterial({ color: 0x222222 });
         const box = new THREE.Mesh(boxGeometry, boxMaterial);
         box.position.set(x, 5.5, z);
+        box.rotation.y = rotationY;
         box.castShadow = true;
         
         // Traffic lights
@@ -391,24 +1153,536 @@ export class City extends THREE.Group {
         box.add(yellowLight);
         box.add(greenLight);
         
+        // Mirror the lamps on the back so traffic from both directions can see them
+        [redLight, yellowLight, greenLight].forEach(light => {
+            const backLight = light.clone();
+            backLight.position.z = -light.position.z;
+            backLight.rotation.y = Math.PI;
+            box.add(backLight);
+        });
+        
         // Create traffic light group
         const trafficLight = new THREE.Group();
         trafficLight.add(pole);
         trafficLight.add(box);
         
+        // Lamp materials, driven by the traffic signal controller
+        trafficLight.userData.lamps = {
+            red: redLightMaterial,
+            yellow: yellowLightMaterial,
+            green: greenLightMaterial
+        };
+        
         // Add to city
-        this.add(trafficLight);
+        this.addToChunk(trafficLight);
+        
+        // Collision body for the pole
+        if (this.physics) {
+            const body = this.physics.createCylinder({
+                radius: 0.2,
+                height: 5,
+                mass: 0,
+                position: new THREE.Vector3(x, 2.5, z),
+                userData: { type: 'prop', mesh: trafficLight, entity: trafficLight, breakable: false }
+            });
+            this.trackBody(body);
+        }
         
         return trafficLight;
     }
     
+    /**
+     * Register a static collision box matching a piece of city geometry
+     * @param {string} type - Body type stored in userData ('building', 'curb', etc.)
+     * @param {THREE.Object3D} mesh - The mesh the body belongs to
+     * @param {number} x - Center x position
+     * @param {number} y - Center y position
+     * @param {number} z - Center z position
+     * @param {number} width - Size along x
+     * @param {number} height - Size along y
+     * @param {number} depth - Size along z
+     * @param {string} surface - Surface the box is made of (see Physics.SURFACES)
+     * @returns {CANNON.Body|null} - The created body, or null without a physics system
+     */
+    createStaticBox(type, mesh, x, y, z, width, height, depth, surface = null) {
+        if (!this.physics) return null;
+        
+        const body = this.physics.createBox({
+            width,
+            height,
+            depth,
+            mass: 0, // Static body
+            position: new THREE.Vector3(x, y, z),
+            surface,
+            userData: { type, mesh }
+        });
+        this.trackBody(body);
+        
+        return body;
+    }
+    
+    /**
+     * Register a thin collision slab under a flat piece of ground (road, plaza, sand...) so it has its own surface
+     * The slab's top sits just above the city ground, so wheels and rays find it first
+     * @param {THREE.Object3D} mesh - The ground mesh the slab belongs to
+     * @param {number} x - Center x position
+     * @param {number} z - Center z position
+     * @param {number} width - Size along x
+     * @param {number} length - Size along z
+     * @param {string} surface - Surface of the ground (see Physics.SURFACES)
+     * @returns {CANNON.Body|null} - The created body, or null without a physics system
+     */
+    createGroundSurface(mesh, x, z, width, length, surface) {
+        const thickness = 0.1;
+        return this.createStaticBox('ground', mesh, x, this.groundSurfaceHeight - thickness / 2, z, width, thickness, length, surface);
+    }
+    
+    /**
+     * Register a static upright collision cylinder (tree trunks, lamp posts...)
+     * @param {string} type - Body type stored in userData
+     * @param {THREE.Object3D} mesh - The object the body belongs to
+     * @param {number} x - Center x position
+     * @param {number} y - Center y position
+     * @param {number} z - Center z position
+     * @param {number} radius - Cylinder radius
+     * @param {number} height - Cylinder height
+     * @returns {CANNON.Body|null} - The created body, or null without a physics system
+     */
+    createStaticCylinder(type, mesh, x, y, z, radius, height) {
+        if (!this.physics) return null;
+        
+        const body = this.physics.createCylinder({
+            radius,
+            height,
+            mass: 0, // Static body
+            position: new THREE.Vector3(x, y, z),
+            userData: { type, mesh }
+        });
+        this.trackBody(body);
+        
+        return body;
+    }
+    
+    /**
+     * Keep track of a static body so it can be removed with its chunk
+     * @param {CANNON.Body} body - The body
+     */
+    trackBody(body) {
+        this.bodies.push(body);
+        
+        if (this.currentChunk) {
+            this.currentChunk.bodies.push(body);
+        }
+    }
+    
+    /**
+     * Add an object to the chunk being built (or directly to the city outside of chunk building)
+     * @param {THREE.Object3D} object - The object to add
+     */
+    addToChunk(object) {
+        (this.currentChunk ? this.currentChunk.group : this).add(object);
+    }
+    
+    /**
+     * Get the key of a chunk
+     * @param {number} x - Chunk index along x
+     * @param {number} z - Chunk index along z
+     * @returns {string} - Chunk key
+     */
+    getChunkKey(x, z) {
+        return `${x}_${z}`;
+    }
+    
+    /**
+     * Get the chunk indices containing a world position (clamped to the city)
+     * @param {THREE.Vector3} position - World position
+     * @returns {object} - Chunk indices { x, z }
+     */
+    getChunkCoords(position) {
+        return {
+            x: Math.floor(this.getBlockIndex(position.x) / this.chunkSize),
+            z: Math.floor(this.getBlockIndex(position.z) / this.chunkSize)
+        };
+    }
+    
+    /**
+     * Get the key of the chunk containing a world position
+     * @param {THREE.Vector3} position - World position
+     * @returns {string} - Chunk key
+     */
+    getChunkKeyAt(position) {
+        const { x, z } = this.getChunkCoords(position);
+        return this.getChunkKey(x, z);
+    }
+    
+    /**
+     * Check whether the chunk containing a world position is loaded
+     * @param {THREE.Vector3} position - World position
+     * @returns {boolean} - Whether the chunk is loaded
+     */
+    isChunkLoadedAt(position) {
+        return this.chunks.has(this.getChunkKeyAt(position));
+    }
+    
+    /**
+     * Build a chunk and add its meshes and bodies to the world
+     * Dispatches a 'chunkload' event with the chunk
+     * @param {number} x - Chunk index along x
+     * @param {number} z - Chunk index along z
+     * @returns {object} - The loaded chunk
+     */
+    loadChunk(x, z) {
+        const key = this.getChunkKey(x, z);
+        if (this.chunks.has(key)) return this.chunks.get(key);
+        
+        const totalBlockSize = this.blockSize + this.roadWidth;
+        const firstI = x * this.chunkSize;
+        const firstJ = z * this.chunkSize;
+        const lastI = Math.min(firstI + this.chunkSize, this.size) - 1;
+        const lastJ = Math.min(firstJ + this.chunkSize, this.size) - 1;
+        
+        const chunk = {
+            key,
+            x,
+            z,
+            group: new THREE.Group(),
+            bodies: [],
+            signalLights: [],
+            // World area covered by the chunk, including the roads it owns
+            bounds: new THREE.Box3(
+                new THREE.Vector3(this.getBlockCenter(firstI) - this.blockSize / 2, 0, this.getBlockCenter(firstJ) - this.blockSize / 2),
+                new THREE.Vector3(
+                    this.getBlockCenter(lastI) - this.blockSize / 2 + (lastI < this.size - 1 ? totalBlockSize : this.blockSize),
+                    this.buildingMaxHeight,
+                    this.getBlockCenter(lastJ) - this.blockSize / 2 + (lastJ < this.size - 1 ? totalBlockSize : this.blockSize)
+                )
+            )
+        };
+        chunk.group.name = `chunk_${key}`;
+        
+        this.currentChunk = chunk;
+        
+        for (let i = firstI; i <= lastI; i++) {
+            for (let j = firstJ; j <= lastJ; j++) {
+                this.createRoadsInCell(i, j);
+                this.createBlock(i, j);
+                
+                if (this.trafficSignals.intersections.has(this.getIntersectionId(i, j))) {
+                    this.addTrafficLights(i, j);
+                }
+            }
+        }
+        
+        // Batch the chunk's windows into instanced meshes
+        this.createWindowMeshes();
+        
+        this.currentChunk = null;
+        
+        this.add(chunk.group);
+        this.chunks.set(key, chunk);
+        this.dispatchEvent({ type: 'chunkload', chunk });
+        
+        return chunk;
+    }
+    
+    /**
+     * Remove a chunk's meshes and bodies and free its GPU resources
+     * Dispatches a 'chunkunload' event with the chunk
+     * @param {string} key - Chunk key
+     */
+    unloadChunk(key) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+        
+        // Remove collision bodies
+        chunk.bodies.forEach(body => {
+            this.physics.removeBody(body);
+            
+            const index = this.bodies.indexOf(body);
+            if (index !== -1) this.bodies.splice(index, 1);
+        });
+        
+        // Detach traffic light heads (signal timing keeps running)
+        chunk.signalLights.forEach(({ intersectionId, lamps }) => {
+            this.trafficSignals.removeLight(intersectionId, lamps);
+        });
+        
+        // Dispose geometry and per-object materials, keeping the ones shared by the whole city
+        const shared = new Set([this.windowGeometry]);
+        const collectShared = value => {
+            if (!value) return;
+            if (value.isMaterial) {
+                shared.add(value);
+            } else if (typeof value === 'object') {
+                Object.values(value).forEach(collectShared);
+            }
+        };
+        collectShared(this.materials);
+        chunk.group.traverse(object => {
+            if (!object.isMesh) return;
+            
+            if (!shared.has(object.geometry)) object.geometry.dispose();
+            if (!shared.has(object.material)) object.material.dispose();
+            if (object.isInstancedMesh) object.dispose();
+        });
+        
+        this.remove(chunk.group);
+        this.chunks.delete(key);
+        this.dispatchEvent({ type: 'chunkunload', chunk });
+    }
+    
+    /**
+     * Load the chunks around a position and unload the ones that are far away
+     * Chunks stay loaded one chunk past the load radius so they don't flicker at the boundary
+     * @param {THREE.Vector3} position - Focus position (usually the player)
+     */
+    updateStreaming(position) {
+        if (!this.streaming) return;
+        
+        const center = this.getChunkCoords(position);
+        
+        // Unload chunks that are out of range
+        [...this.chunks.values()].forEach(chunk => {
+            const distance = Math.max(Math.abs(chunk.x - center.x), Math.abs(chunk.z - center.z));
+            if (distance > this.loadRadius + 1) {
+                this.unloadChunk(chunk.key);
+            }
+        });
+        
+        // Load chunks in range
+        for (let x = center.x - this.loadRadius; x <= center.x + this.loadRadius; x++) {
+            for (let z = center.z - this.loadRadius; z <= center.z + this.loadRadius; z++) {
+                if (x < 0 || z < 0 || x >= this.chunkCount || z >= this.chunkCount) continue;
+                this.loadChunk(x, z);
+            }
+        }
+    }
+    
+    /**
+     * Get how far from the focus point city geometry can be loaded
+     * Useful for the camera far plane and fog
+     * @returns {number} - Distance in meters
+     */
+    getViewDistance() {
+        const citySize = this.size * this.blockSize + (this.size - 1) * this.roadWidth;
+        
+        if (!this.streaming) return citySize * 1.5;
+        
+        const chunkWorldSize = this.chunkSize * (this.blockSize + this.roadWidth);
+        return Math.min((this.loadRadius + 2) * chunkWorldSize, citySize * 1.5);
+    }
+    
+    /**
+     * Get the traffic signal shown to an approach of an intersection
+     * @param {string} intersectionId - Intersection id (see getIntersectionId)
+     * @param {string|THREE.Vector3} approach - 'north', 'south', 'east', 'west' or a travel direction
+     * @returns {string|null} - 'green', 'yellow' or 'red'
+     */
+    getSignalState(intersectionId, approach) {
+        return this.trafficSignals.getSignalState(intersectionId, approach);
+    }
+    
+    /**
+     * Serialize the city layout to a versioned JSON document
+     * Everything needed to rebuild the same city: grid and road dimensions, every block's
+     * district, buildings and props, and the signalized intersections
+     * (Not toJSON: City is an Object3D, whose toJSON serializes the scene graph)
+     * @returns {object} - Layout document (pass to JSON.stringify)
+     */
+    toLayout() {
+        const blocks = [];
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < this.size; j++) {
+                const layout = this.getBlockLayout(i, j);
+                blocks.push({
+                    i,
+                    j,
+                    district: layout.district,
+                    buildings: layout.buildings.map(building => ({ ...building })),
+                    props: layout.props.map(prop => ({ ...prop }))
+                });
+            }
+        }
+        
+        const trafficLights = [];
+        this.trafficSignals.intersections.forEach(intersection => {
+            const node = this.roadGraph.getNode(intersection.id);
+            trafficLights.push({ i: node.gridI, j: node.gridJ, offset: intersection.offset });
+        });
+        
+        return {
+            format: City.LAYOUT_FORMAT,
+            version: City.LAYOUT_VERSION,
+            seed: this.seed,
+            size: this.size,
+            blockSize: this.blockSize,
+            roads: {
+                width: this.roadWidth,
+                sidewalkWidth: this.sidewalkWidth,
+                curbHeight: this.curbHeight,
+                speedLimit: this.speedLimit
+            },
+            litWindowRatio: this.litWindowRatio,
+            water: {
+                level: this.waterLevel,
+                depth: this.seaDepth,
+                beachWidth: this.beachWidth,
+                canals: this.canals.map(canal => ({ ...canal }))
+            },
+            signalTiming: { ...this.trafficSignals.timing },
+            blocks,
+            trafficLights
+        };
+    }
+    
+    /**
+     * Take road dimensions, districts and block layouts from an imported layout document
+     * @param {object} layout - Layout document (see toLayout)
+     */
+    applyLayout(layout) {
+        const { roads = {} } = layout;
+        if (roads.width !== undefined) this.roadWidth = roads.width;
+        if (roads.sidewalkWidth !== undefined) this.sidewalkWidth = roads.sidewalkWidth;
+        if (roads.curbHeight !== undefined) this.curbHeight = roads.curbHeight;
+        if (roads.speedLimit !== undefined) this.speedLimit = roads.speedLimit;
+        if (layout.litWindowRatio !== undefined) this.litWindowRatio = layout.litWindowRatio;
+        
+        // Version 1 layouts (from before there was water) get the sea and canals planned from their seed
+        const { water = {} } = layout;
+        if (water.level !== undefined) this.waterLevel = water.level;
+        if (water.depth !== undefined) this.seaDepth = water.depth;
+        if (water.beachWidth !== undefined) this.beachWidth = water.beachWidth;
+        if (water.canals) this.canals = water.canals.map(canal => ({ ...canal }));
+        
+        layout.blocks.forEach(block => {
+            if (!City.isValidLayoutBlock(block, this.size)) {
+                const { i, j, district } = block || {};
+                console.warn(`Skipping invalid block ${i}, ${j} (${district}) in city layout`);
+                return;
+            }
+            
+            this.districts.grid[block.i][block.j] = block.district;
+            this.blockLayouts.set(`${block.i}_${block.j}`, {
+                district: block.district,
+                buildings: block.buildings || [],
+                props: block.props || []
+            });
+        });
+    }
+    
+    /**
+     * Check that a block of a layout document is inside the grid and has a known district
+     * @param {object} block - Block { i, j, district, ... }
+     * @param {number} size - Number of blocks in each direction
+     * @returns {boolean} - Whether the block can be built
+     */
+    static isValidLayoutBlock(block, size) {
+        const inGrid = index => Number.isInteger(index) && index >= 0 && index < size;
+        return Boolean(block) && inGrid(block.i) && inGrid(block.j) && Boolean(DISTRICT_TYPES[block.district]);
+    }
+    
+    /**
+     * Check that a traffic light of a layout document is at an intersection inside the grid
+     * @param {object} light - Traffic light { i, j, offset }
+     * @param {number} size - Number of blocks in each direction
+     * @returns {boolean} - Whether the traffic light can be added
+     */
+    static isValidLayoutTrafficLight(light, size) {
+        const inGrid = index => Number.isInteger(index) && index >= 0 && index < size - 1;
+        return Boolean(light) && inGrid(light.i) && inGrid(light.j) &&
+            (light.offset === undefined || Number.isFinite(light.offset));
+    }
+    
+    /**
+     * Rebuild a city from a layout document created by toLayout (or edited by hand)
+     * Blocks missing from the document are generated from its seed
+     * @param {object|string} json - Layout document or its JSON text
+     * @param {object} options - Extra City options (physics, streaming, etc.)
+     * @returns {City|null} - The rebuilt city, or null if the document can't be read
+     */
+    static fromJSON(json, options = {}) {
+        let layout = json;
+        if (typeof json === 'string') {
+            try {
+                layout = JSON.parse(json);
+            } catch (error) {
+                console.error(`City layout isn't valid JSON: ${error.message}`);
+                return null;
+            }
+        }
+        
+        if (!layout || layout.format !== City.LAYOUT_FORMAT) {
+            console.error('Not a city layout document');
+            return null;
+        }
+        
+        if (layout.version > City.LAYOUT_VERSION) {
+            console.error(`City layout version ${layout.version} is newer than supported version ${City.LAYOUT_VERSION}`);
+            return null;
+        }
+        
+        if (layout.version < 2) {
+            console.warn(`City layout version ${layout.version} has no water, using the default sea and canals for its seed`);
+        }
+        
+        if (!Number.isInteger(layout.size) || layout.size < 1) {
+            console.error(`City layout has an invalid size: ${layout.size}`);
+            return null;
+        }
+        
+        const invalidBlock = (layout.blocks || []).find(block => !City.isValidLayoutBlock(block, layout.size));
+        if (invalidBlock !== undefined) {
+            const { i, j, district } = invalidBlock || {};
+            console.error(`City layout has an invalid block ${i}, ${j} (${district})`);
+            return null;
+        }
+        
+        const invalidLight = (layout.trafficLights || []).find(light => !City.isValidLayoutTrafficLight(light, layout.size));
+        if (invalidLight !== undefined) {
+            const { i, j } = invalidLight || {};
+            console.error(`City layout has a traffic light at an invalid intersection ${i}, ${j}`);
+            return null;
+        }
+        
+        return new City(layout.size, layout.blockSize, {
+            ...options,
+            seed: layout.seed,
+            signalTiming: layout.signalTiming,
+            layout: {
+                ...layout,
+                blocks: layout.blocks || [],
+                trafficLights: layout.trafficLights || []
+            }
+        });
+    }
+    
+    /**
+     * Rebuild a city from a layout document (same as fromJSON, named to pair with toLayout)
+     * @param {object|string} layout - Layout document or its JSON text
+     * @param {object} options - Extra City options (physics, streaming, etc.)
+     * @returns {City|null} - The rebuilt city, or null if the document can't be read
+     */
+    static fromLayout(layout, options = {}) {
+        return City.fromJSON(layout, options);
+    }
+    
     /**
      * Update the city (for animations, traffic lights, etc.)
      * @param {number} deltaTime - Time since last update
+     * @param {THREE.Vector3} focus - Position to stream chunks around (optional)
      */
-    update(deltaTime) {
-        // Update city elements (could animate traffic lights, etc.)
+    update(deltaTime, focus = null) {
+        // Cycle traffic light phases
+        this.trafficSignals.update(deltaTime);
+        
+        // Load and unload chunks as the focus moves
+        if (focus) {
+            this.updateStreaming(focus);
+        }
     }
 }
 
-export { City };
+// Layout document identification, bump the version when the format changes
+City.LAYOUT_FORMAT = 'city-layout';
+// Version 2 added the water section; version 1 layouts get the default sea and canals for their seed
+City.LAYOUT_VERSION = 2;
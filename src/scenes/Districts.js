@@ -0,0 +1,159 @@
+/**
+ * District definitions - zoning rules for the blocks of a district
+ * heightRange: min/max building height, heightBias: exponent applied to the random height
+ * (below 1 favours tall buildings, above 1 favours low ones), footprint: building size as a
+ * fraction of a building spot, buildingsPerBlock: min/max buildings in a block,
+ * groundSurface: physics surface of the block ground (see Physics.SURFACES, null = the city ground)
+ */
+export const DISTRICT_TYPES = {
+    downtown: {
+        type: 'downtown',
+        name: 'Downtown',
+        heightRange: [25, 90],
+        heightBias: 0.7,
+        footprint: [0.6, 0.9],
+        buildingsPerBlock: [3, 4],
+        buildingMaterials: [
+            { color: 0x8899AA, roughness: 0.3, metalness: 0.5 }, // Blue glass
+            { color: 0x556677, roughness: 0.3, metalness: 0.6 }, // Dark glass
+            { color: 0xCCCCCC, roughness: 0.6, metalness: 0.2 }  // Concrete
+        ],
+        groundColor: 0x777777, // Paved plazas
+        groundSurface: 'concrete',
+        decorations: { streetLamps: true },
+        npcDensity: 1.0,
+        ambience: 'city'
+    },
+    residential: {
+        type: 'residential',
+        name: 'Residential',
+        heightRange: [6, 16],
+        heightBias: 1.5,
+        footprint: [0.35, 0.6],
+        buildingsPerBlock: [2, 4],
+        buildingMaterials: [
+            { color: 0xAA8866, roughness: 0.7, metalness: 0.1 }, // Brick
+            { color: 0xD8C8A8, roughness: 0.8, metalness: 0.0 }, // Beige stucco
+            { color: 0xEEEEEE, roughness: 0.8, metalness: 0.0 }  // White siding
+        ],
+        groundColor: null, // Grass from the city ground
+        groundSurface: null,
+        decorations: { streetLamps: true, trees: [2, 4] },
+        npcDensity: 0.5,
+        ambience: 'suburb'
+    },
+    industrial: {
+        type: 'industrial',
+        name: 'Industrial',
+        heightRange: [8, 18],
+        heightBias: 1.0,
+        footprint: [0.7, 0.9],
+        buildingsPerBlock: [1, 3],
+        buildingMaterials: [
+            { color: 0x888888, roughness: 0.6, metalness: 0.6 }, // Corrugated steel
+            { color: 0x8B5A3C, roughness: 0.9, metalness: 0.3 }, // Rust
+            { color: 0x667755, roughness: 0.8, metalness: 0.3 }  // Faded green
+        ],
+        groundColor: 0x444444, // Asphalt yards
+        groundSurface: 'asphalt',
+        decorations: { containers: [2, 5] },
+        npcDensity: 0.2,
+        ambience: 'industrial'
+    },
+    beach: {
+        type: 'beach',
+        name: 'Beach',
+        heightRange: [4, 8],
+        heightBias: 1.0,
+        footprint: [0.25, 0.4],
+        buildingsPerBlock: [0, 1],
+        buildingMaterials: [
+            { color: 0xF4B6C2, roughness: 0.8, metalness: 0.0 }, // Pastel pink
+            { color: 0x9ED9CC, roughness: 0.8, metalness: 0.0 }, // Pastel teal
+            { color: 0xFFF1A8, roughness: 0.8, metalness: 0.0 }  // Pastel yellow
+        ],
+        groundColor: 0xE8D8A0, // Sand
+        groundSurface: 'sand',
+        decorations: { palms: [4, 7] },
+        npcDensity: 0.6,
+        ambience: 'waves'
+    },
+    park: {
+        type: 'park',
+        name: 'Park',
+        heightRange: [0, 0],
+        heightBias: 1.0,
+        footprint: [0, 0],
+        buildingsPerBlock: [0, 0],
+        buildingMaterials: [],
+        groundColor: 0x3A8A3A, // Lawn
+        groundSurface: 'grass',
+        decorations: { trees: [8, 14], streetLamps: true },
+        npcDensity: 0.4,
+        ambience: 'birds'
+    }
+};
+
+/**
+ * District map assigning a district to every block of the city grid
+ * The coast runs along one (random) edge of the city, downtown sits in the middle,
+ * industry on the far side from the coast and parks are scattered through the rest
+ */
+export class DistrictMap {
+    /**
+     * @param {number} size - Number of blocks in each direction
+     * @param {SeededRandom} random - Generator for the layout
+     */
+    constructor(size, random) {
+        this.size = size;
+        
+        // Edge of the city facing the sea (0: -x, 1: +x, 2: -z, 3: +z)
+        this.coastSide = random.int(0, 3);
+        
+        // District type for every block
+        this.grid = [];
+        for (let i = 0; i < size; i++) {
+            this.grid.push([]);
+            for (let j = 0; j < size; j++) {
+                this.grid[i].push(this.chooseDistrict(i, j, random.fork(i, j)));
+            }
+        }
+    }
+    
+    /**
+     * Pick the district type of a block
+     * @param {number} i - Block index along x
+     * @param {number} j - Block index along z
+     * @param {SeededRandom} random - Generator for this block
+     * @returns {string} - District type
+     */
+    chooseDistrict(i, j, random) {
+        const last = this.size - 1;
+        const center = last / 2;
+        
+        // Blocks away from the coast, and normalized distance from the center (0 center, 1 edge)
+        const coastDistance = [i, last - i, j, last - j][this.coastSide];
+        const radius = Math.max(Math.abs(i - center), Math.abs(j - center)) / Math.max(center, 1);
+        
+        if (coastDistance === 0) return 'beach';
+        
+        // Slightly ragged downtown edge
+        if (radius + (random.next() - 0.5) * 0.3 < 0.45) return 'downtown';
+        
+        // Industry along the far side from the coast
+        const industrialDepth = Math.max(1, Math.floor(this.size * 0.2));
+        if (coastDistance > last - industrialDepth) return 'industrial';
+        
+        return random.next() < 0.15 ? 'park' : 'residential';
+    }
+    
+    /**
+     * Get the district of a block
+     * @param {number} i - Block index along x
+     * @param {number} j - Block index along z
+     * @returns {object} - District definition (see DISTRICT_TYPES)
+     */
+    getDistrict(i, j) {
+        return DISTRICT_TYPES[this.grid[i][j]];
+    }
+}
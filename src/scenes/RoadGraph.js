@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+
+/**
+ * Road graph describing the drivable network of the city
+ * Nodes are intersections and road ends, edges are directed lanes between them
+ */
+export class RoadGraph {
+    constructor() {
+        // Nodes and lanes indexed by id
+        this.nodes = new Map();
+        this.lanes = new Map();
+    }
+    
+    /**
+     * Add a node (intersection or road end) to the graph
+     * @param {string} id - Unique node id
+     * @param {THREE.Vector3} position - World position of the node center
+     * @param {object} data - Extra node data (type, grid coordinates, etc.)
+     * @returns {object} - The created node
+     */
+    addNode(id, position, data = {}) {
+        const node = {
+            id,
+            position: position.clone(),
+            type: data.type || 'intersection',
+            ...data,
+            outgoing: [], // Lanes leaving this node
+            incoming: []  // Lanes arriving at this node
+        };
+        
+        this.nodes.set(id, node);
+        return node;
+    }
+    
+    /**
+     * Add a directed lane between two nodes
+     * The lane centerline is offset to the right of the direction of travel
+     * @param {string} fromId - Start node id
+     * @param {string} toId - End node id
+     * @param {object} options - Lane options
+     * @param {number} options.width - Lane width in meters
+     * @param {number} options.speedLimit - Speed limit in km/h
+     * @param {string} options.roadId - Id of the road the lane belongs to
+     * @returns {object} - The created lane
+     */
+    addLane(fromId, toId, options = {}) {
+        const from = this.nodes.get(fromId);
+        const to = this.nodes.get(toId);
+        
+        if (!from || !to) {
+            console.warn(`Cannot add lane ${fromId} -> ${toId}: unknown node`);
+            return null;
+        }
+        
+        const { width = 3, speedLimit = 50, roadId = null } = options;
+        
+        // Direction of travel and the right-hand side in the xz plane
+        const direction = new THREE.Vector3().subVectors(to.position, from.position).setY(0).normalize();
+        const right = new THREE.Vector3(-direction.z, 0, direction.x);
+        const offset = right.multiplyScalar(width / 2);
+        
+        const lane = {
+            id: `${fromId}->${toId}`,
+            from: fromId,
+            to: toId,
+            roadId,
+            start: from.position.clone().add(offset),
+            end: to.position.clone().add(offset),
+            direction,
+            width,
+            speedLimit,
+            length: from.position.distanceTo(to.position)
+        };
+        
+        this.lanes.set(lane.id, lane);
+        from.outgoing.push(lane);
+        to.incoming.push(lane);
+        
+        return lane;
+    }
+    
+    /**
+     * Add lanes in both directions between two nodes
+     * @param {string} aId - First node id
+     * @param {string} bId - Second node id
+     * @param {object} options - Lane options (see addLane)
+     * @returns {Array} - The two created lanes
+     */
+    addRoad(aId, bId, options = {}) {
+        return [
+            this.addLane(aId, bId, options),
+            this.addLane(bId, aId, options)
+        ];
+    }
+    
+    /**
+     * Get a node by id
+     * @param {string} id - Node id
+     * @returns {object|undefined} - The node
+     */
+    getNode(id) {
+        return this.nodes.get(id);
+    }
+    
+    /**
+     * Get a lane by id
+     * @param {string} id - Lane id
+     * @returns {object|undefined} - The lane
+     */
+    getLane(id) {
+        return this.lanes.get(id);
+    }
+    
+    /**
+     * Get all intersection nodes
+     * @returns {Array} - Intersection nodes
+     */
+    getIntersections() {
+        return [...this.nodes.values()].filter(node => node.type === 'intersection');
+    }
+    
+    /**
+     * Find the node closest to a position
+     * @param {THREE.Vector3} position - World position
+     * @returns {object|null} - The closest node
+     */
+    getNearestNode(position) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        this.nodes.forEach(node => {
+            const dx = node.position.x - position.x;
+            const dz = node.position.z - position.z;
+            const distance = dx * dx + dz * dz;
+            
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = node;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Find the lane whose centerline is closest to a position
+     * @param {THREE.Vector3} position - World position
+     * @param {THREE.Vector3} heading - Optional direction of travel; lanes facing the other way are skipped
+     * @returns {object|null} - The closest lane
+     */
+    getNearestLane(position, heading = null) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        const point = new THREE.Vector3();
+        
+        this.lanes.forEach(lane => {
+            if (heading && lane.direction.dot(heading) < 0) return;
+            
+            this.getClosestPointOnLane(lane, position, point);
+            const dx = point.x - position.x;
+            const dz = point.z - position.z;
+            const distance = dx * dx + dz * dz;
+            
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = lane;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Project a position onto a lane centerline
+     * @param {object} lane - The lane
+     * @param {THREE.Vector3} position - World position
+     * @param {THREE.Vector3} target - Vector to store the result in
+     * @returns {THREE.Vector3} - Closest point on the lane
+     */
+    getClosestPointOnLane(lane, position, target = new THREE.Vector3()) {
+        const t = this.getLaneProgress(lane, position);
+        return target.lerpVectors(lane.start, lane.end, t);
+    }
+    
+    /**
+     * Get how far along a lane a position is
+     * @param {object} lane - The lane
+     * @param {THREE.Vector3} position - World position
+     * @returns {number} - Progress from 0 (start) to 1 (end)
+     */
+    getLaneProgress(lane, position) {
+        const dx = position.x - lane.start.x;
+        const dz = position.z - lane.start.z;
+        const along = dx * lane.direction.x + dz * lane.direction.z;
+        
+        return lane.length > 0 ? THREE.MathUtils.clamp(along / lane.length, 0, 1) : 0;
+    }
+    
+    /**
+     * Find the fastest route between two positions along the lane network (A*)
+     * @param {THREE.Vector3} from - Start position
+     * @param {THREE.Vector3} to - Destination position
+     * @returns {object|null} - Route with lanes, waypoints and distance, or null if unreachable
+     */
+    findRoute(from, to) {
+        const startLane = this.getNearestLane(from);
+        const goalLane = this.getNearestLane(to);
+        
+        if (!startLane || !goalLane) return null;
+        
+        const startPoint = this.getClosestPointOnLane(startLane, from);
+        const goalPoint = this.getClosestPointOnLane(goalLane, to);
+        
+        // Destination is further along the lane we're already on
+        if (startLane === goalLane &&
+            this.getLaneProgress(startLane, to) >= this.getLaneProgress(startLane, from)) {
+            return {
+                lanes: [startLane],
+                waypoints: [startPoint, goalPoint],
+                distance: startPoint.distanceTo(goalPoint)
+            };
+        }
+        
+        const lanes = this.findLanePath(startLane.to, goalLane.from);
+        if (!lanes) return null;
+        
+        const routeLanes = [startLane, ...lanes, goalLane];
+        const waypoints = [startPoint, ...routeLanes.slice(0, -1).map(lane => lane.end.clone()), goalPoint];
+        
+        let distance = 0;
+        for (let i = 1; i < waypoints.length; i++) {
+            distance += waypoints[i - 1].distanceTo(waypoints[i]);
+        }
+        
+        return { lanes: routeLanes, waypoints, distance };
+    }
+    
+    /**
+     * Find the fastest sequence of lanes between two nodes (A*, cost is travel time)
+     * @param {string} startId - Start node id
+     * @param {string} goalId - Goal node id
+     * @returns {Array|null} - Lanes to follow (empty if start is the goal), or null if unreachable
+     */
+    findLanePath(startId, goalId) {
+        const goal = this.nodes.get(goalId);
+        if (!this.nodes.has(startId) || !goal) return null;
+        
+        // Heuristic assumes the fastest speed limit on the network so it never overestimates
+        let maxSpeed = 1;
+        this.lanes.forEach(lane => {
+            maxSpeed = Math.max(maxSpeed, lane.speedLimit);
+        });
+        const heuristic = node => node.position.distanceTo(goal.position) / maxSpeed;
+        const cost = lane => lane.length / lane.speedLimit;
+        
+        const open = new Set([startId]);
+        const cameFrom = new Map(); // node id -> lane used to reach it
+        const gScore = new Map([[startId, 0]]);
+        const fScore = new Map([[startId, heuristic(this.nodes.get(startId))]]);
+        
+        while (open.size > 0) {
+            // Pick the open node with the lowest estimated total cost
+            let currentId = null;
+            open.forEach(id => {
+                if (currentId === null || fScore.get(id) < fScore.get(currentId)) {
+                    currentId = id;
+                }
+            });
+            
+            if (currentId === goalId) {
+                const path = [];
+                while (cameFrom.has(currentId)) {
+                    const lane = cameFrom.get(currentId);
+                    path.unshift(lane);
+                    currentId = lane.from;
+                }
+                return path;
+            }
+            
+            open.delete(currentId);
+            
+            this.nodes.get(currentId).outgoing.forEach(lane => {
+                const tentative = gScore.get(currentId) + cost(lane);
+                
+                if (tentative < (gScore.has(lane.to) ? gScore.get(lane.to) : Infinity)) {
+                    cameFrom.set(lane.to, lane);
+                    gScore.set(lane.to, tentative);
+                    fScore.set(lane.to, tentative + heuristic(this.nodes.get(lane.to)));
+                    open.add(lane.to);
+                }
+            });
+        }
+        
+        return null;
+    }
+}
@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { Physics } from './Physics.js';
+
+// Pull of gravity in m/s² (as in the physics world), for working out how hard to hop up steps
+const GRAVITY = 9.82;
+
+/**
+ * Character controller - moves a character body (see Physics.createCharacter) the way players expect
+ * rather than the way a box on ice would: it finds the ground with a ground cast, sticks to it down
+ * slopes and off curbs, slides off slopes that are too steep, hops up steps, and gives jumps a little
+ * slack (coyote time after walking off a ledge, a buffer for jumps pressed just before landing)
+ * In deep water the character swims instead (see Physics.addWaterVolume)
+ * Only the horizontal velocity is steered; gravity (and buoyancy in water) is left to the physics world
+ */
+export class CharacterController {
+    /**
+     * @param {Physics} physics - Physics system
+     * @param {CANNON.Body} body - The character's physics body
+     * @param {object} options - Controller options
+     * @param {number} options.acceleration - How fast the character reaches its target speed on the ground (m/s²)
+     * @param {number} options.airControl - Share of the ground acceleration the character has in the air
+     * @param {number} options.jumpSpeed - Upward speed of a jump in m/s
+     * @param {number} options.coyoteTime - Seconds after leaving the ground in which a jump still works
+     * @param {number} options.jumpBuffer - Seconds a jump pressed in the air is remembered for
+     * @param {number} options.swimDepth - How deep the feet have to be under water for the character to swim
+     * @param {number} options.swimAcceleration - How fast the character reaches its target speed in water (m/s²)
+     */
+    constructor(physics, body, options = {}) {
+        this.physics = physics;
+        this.body = body;
+        
+        this.options = {
+            acceleration: options.acceleration || 40,
+            airControl: options.airControl !== undefined ? options.airControl : 0.3,
+            jumpSpeed: options.jumpSpeed || 7,
+            coyoteTime: options.coyoteTime !== undefined ? options.coyoteTime : 0.12,
+            jumpBuffer: options.jumpBuffer !== undefined ? options.jumpBuffer : 0.15,
+            swimDepth: options.swimDepth || 1.1,
+            swimAcceleration: options.swimAcceleration || 6
+        };
+        
+        // Ground under the character (see Physics.groundCast) and what it's made of
+        this.ground = null;
+        this.surface = null;
+        
+        this.isGrounded = false;
+        this.isJumping = false;
+        this.isSliding = false; // On ground too steep to walk on
+        this.isSwimming = false;
+        this.water = null; // Water at the character (see Physics.getWaterAt)
+        
+        this.timeSinceGrounded = 0;
+        this.jumpRequestTime = 0; // Time left on a buffered jump
+        this.jumpHeld = false;
+        this.stepUpTime = 0; // Time left of a hop up a step
+        this.fallSpeed = 0; // Fastest downward speed since leaving the ground
+        this.airTime = 0;
+        
+        // Landing listeners, called with { fallSpeed, airTime, surface, body }
+        this.landListeners = new Set();
+    }
+    
+    /**
+     * Register a callback for when the character lands
+     * @param {Function} callback - Called with { fallSpeed, airTime, surface, body }
+     * @returns {Function} - Call to unsubscribe
+     */
+    onLand(callback) {
+        this.landListeners.add(callback);
+        return () => this.landListeners.delete(callback);
+    }
+    
+    /**
+     * Forget the ground and any jump in progress (after teleporting the character)
+     */
+    reset() {
+        this.ground = null;
+        this.surface = null;
+        this.isGrounded = false;
+        this.isJumping = false;
+        this.isSliding = false;
+        this.timeSinceGrounded = this.options.coyoteTime;
+        this.jumpRequestTime = 0;
+        this.stepUpTime = 0;
+        this.fallSpeed = 0;
+        this.airTime = 0;
+    }
+    
+    /**
+     * Move the character
+     * @param {number} deltaTime - Time elapsed since last update
+     * @param {object} input - What the character wants to do
+     * @param {THREE.Vector3} input.direction - Direction to move in (horizontal, length 0 to 1)
+     * @param {number} input.speed - Speed to move at in m/s
+     * @param {boolean} input.jump - Whether jump is held
+     */
+    update(deltaTime, input) {
+        const velocity = new THREE.Vector3().copy(this.body.velocity);
+        
+        // Jumps pressed shortly before landing still happen (only a fresh press counts, not holding the key)
+        if (input.jump && !this.jumpHeld) {
+            this.jumpRequestTime = this.options.jumpBuffer;
+        } else {
+            this.jumpRequestTime = Math.max(0, this.jumpRequestTime - deltaTime);
+        }
+        this.jumpHeld = input.jump;
+        
+        if (this.updateWater()) {
+            this.swim(deltaTime, input, velocity);
+            return;
+        }
+        
+        this.updateGround(deltaTime, velocity);
+        
+        // Horizontal velocity the character wants, minus any push up a slope that's too steep
+        const target = new THREE.Vector3(input.direction.x, 0, input.direction.z).multiplyScalar(input.speed);
+        if (this.isSliding) {
+            const downhill = new THREE.Vector3(this.ground.normal.x, 0, this.ground.normal.z).normalize();
+            const uphill = target.dot(downhill);
+            if (uphill < 0) {
+                target.addScaledVector(downhill, -uphill);
+            }
+        }
+        
+        // Ice and other slippery surfaces give the feet less grip
+        const surface = this.surface ? Physics.SURFACES[this.surface] : null;
+        const traction = surface ? Math.min(1, surface.footFriction / Physics.SURFACES.asphalt.footFriction) : 1;
+        
+        const acceleration = this.isGrounded
+            ? this.options.acceleration * traction
+            : this.options.acceleration * this.options.airControl;
+        
+        // Move the horizontal velocity towards the target
+        const horizontal = new THREE.Vector3(velocity.x, 0, velocity.z);
+        const change = target.sub(horizontal);
+        const maxChange = acceleration * deltaTime;
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        horizontal.add(change);
+        velocity.x = horizontal.x;
+        velocity.z = horizontal.z;
+        
+        this.stepUpTime = Math.max(0, this.stepUpTime - deltaTime);
+        
+        if (this.jumpRequestTime > 0 && this.timeSinceGrounded <= this.options.coyoteTime && !this.isJumping) {
+            // Jump (also just after walking off a ledge)
+            velocity.y = this.options.jumpSpeed;
+            this.isJumping = true;
+            this.isGrounded = false;
+            this.jumpRequestTime = 0;
+            this.timeSinceGrounded = this.options.coyoteTime;
+            this.stepUpTime = 0;
+        } else if (this.isGrounded && input.speed > 0 && input.direction.lengthSq() > 0.01 &&
+            this.physics.canStepUp(this.body, input.direction)) {
+            // Hop just high enough to clear the step
+            this.stepUpTime = 0.2;
+            velocity.y = Math.max(velocity.y, Math.sqrt(2 * GRAVITY * (this.body.stepHeight + 0.05)));
+        } else if (this.isGrounded && this.stepUpTime === 0) {
+            // Follow the ground along slopes and down onto it when it drops away (stepping off a curb)
+            const normal = this.ground.normal;
+            velocity.y = -(normal.x * velocity.x + normal.z * velocity.z) / normal.y;
+            if (this.ground.distance > 0.05) {
+                velocity.y -= this.ground.distance / deltaTime;
+            }
+        }
+        
+        this.physics.setVelocity(this.body, velocity);
+    }
+    
+    /**
+     * Start or stop swimming depending on how deep the character is in water
+     * @returns {boolean} - Whether the character is swimming
+     */
+    updateWater() {
+        const feet = this.body.position.y - this.body.capsule.height / 2;
+        this.water = this.physics.getWaterAt(this.body.position);
+        
+        // Swimmers keep swimming a little shallower than it takes to start, so they don't flicker at the surface
+        const depth = this.water ? this.water.level - feet : 0;
+        const swimming = depth > (this.isSwimming ? this.options.swimDepth - 0.2 : this.options.swimDepth);
+        
+        // Falling into water isn't a landing
+        if (swimming && !this.isSwimming) {
+            this.reset();
+        }
+        
+        this.isSwimming = swimming;
+        return swimming;
+    }
+    
+    /**
+     * Swim: steer through the water, and kick up out of it (onto a quay) from the surface
+     * Buoyancy (see Physics.setBuoyancy) keeps the head above water
+     * @param {number} deltaTime - Time elapsed since last update
+     * @param {object} input - What the character wants to do (see update)
+     * @param {THREE.Vector3} velocity - Current velocity of the body
+     */
+    swim(deltaTime, input, velocity) {
+        const horizontal = new THREE.Vector3(velocity.x, 0, velocity.z);
+        const change = new THREE.Vector3(input.direction.x, 0, input.direction.z).multiplyScalar(input.speed).sub(horizontal);
+        const maxChange = this.options.swimAcceleration * deltaTime;
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        horizontal.add(change);
+        velocity.x = horizontal.x;
+        velocity.z = horizontal.z;
+        
+        const head = this.body.position.y + this.body.capsule.height / 2;
+        if (this.jumpRequestTime > 0 && head > this.water.level) {
+            velocity.y = this.options.jumpSpeed;
+            this.isJumping = true;
+            this.jumpRequestTime = 0;
+        }
+        
+        this.physics.setVelocity(this.body, velocity);
+    }
+    
+    /**
+     * Cast for the ground, and land or leave it
+     * @param {number} deltaTime - Time elapsed since last update
+     * @param {THREE.Vector3} velocity - Current velocity of the body
+     */
+    updateGround(deltaTime, velocity) {
+        const wasGrounded = this.isGrounded;
+        const stepHeight = this.body.stepHeight;
+        
+        // While on the ground look a step down so the character follows it off curbs
+        this.ground = this.physics.groundCast(this.body, stepHeight + 0.1);
+        this.surface = this.ground.hasHit ? this.physics.getBodySurface(this.ground.body) : null;
+        
+        const minGroundNormal = Math.cos(this.body.maxSlope * Math.PI / 180);
+        const touching = this.ground.hasHit && this.ground.distance <= (wasGrounded ? stepHeight : 0.1);
+        const rising = (this.isJumping || this.stepUpTime > 0) && velocity.y > 0;
+        
+        this.isSliding = touching && this.ground.normal.y < minGroundNormal;
+        this.isGrounded = touching && !this.isSliding && !rising;
+        
+        if (this.isGrounded) {
+            if (!wasGrounded) {
+                this.land();
+            }
+            
+            this.timeSinceGrounded = 0;
+            this.isJumping = false;
+        } else {
+            this.timeSinceGrounded += deltaTime;
+            this.airTime += deltaTime;
+            
+            // Sliding down a slope too steep to stand on doesn't count as falling
+            this.fallSpeed = this.isSliding ? 0 : Math.max(this.fallSpeed, -velocity.y);
+        }
+    }
+    
+    /**
+     * Tell the landing listeners how hard the character came down
+     */
+    land() {
+        const landing = {
+            fallSpeed: this.fallSpeed,
+            airTime: this.airTime,
+            surface: this.surface,
+            body: this.ground.body
+        };
+        
+        this.fallSpeed = 0;
+        this.airTime = 0;
+        
+        [...this.landListeners].forEach(callback => callback(landing));
+    }
+}
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+
+const WHITE = new THREE.Color(0xffffff);
+
+/**
+ * Day/night cycle - keeps the game clock and drives the sun, sky color, fog and scene lighting
+ * Dispatches 'dusk' and 'dawn' when night starts or ends (also on the first update),
+ * and 'hour' with { hour } whenever the hour changes
+ */
+export class DayNightCycle extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.Scene} scene - Scene to light
+     * @param {object} options - Cycle options
+     * @param {number} options.startHour - Hour of day to start at (0-24)
+     * @param {number} options.timeScale - Game seconds per real second (60 = one game minute per second)
+     * @param {number} options.fogDensity - Exponential fog density at noon
+     */
+    constructor(scene, options = {}) {
+        super();
+        
+        this.scene = scene;
+        
+        // Game clock in minutes since midnight
+        this.time = (options.startHour !== undefined ? options.startHour : 10) * 60;
+        this.timeScale = options.timeScale !== undefined ? options.timeScale : 60;
+        this.paused = false;
+        
+        // Sky colors at night, around sunrise/sunset and during the day
+        this.skyColors = {
+            night: new THREE.Color(0x0B1026),
+            twilight: new THREE.Color(0xFF9A5C),
+            day: new THREE.Color(0x87CEEB)
+        };
+        this.skyColor = this.skyColors.day.clone();
+        
+        // Fog thickens slightly at night
+        this.fogDensity = options.fogDensity !== undefined ? options.fogDensity : 0.002;
+        this.fogMultiplier = 1; // Scaled by other systems (e.g. weather)
+        
+        // Cloud cover from 0 (clear) to 1 (heavy clouds) - greys out the sky and dims the sun
+        this.overcast = 0;
+        this.overcastColor = new THREE.Color(0x5A6068);
+        this.overcastSky = new THREE.Color(); // Overcast color darkened for the time of day
+        this.scene.fog = new THREE.FogExp2(this.skyColor.getHex(), this.fogDensity);
+        this.scene.background = this.skyColor.clone();
+        
+        // 0 in full daylight, 1 at night
+        this.nightFactor = 0;
+        this.night = null; // Unknown until the first update so listeners get the initial state
+        this.lastHour = null;
+        
+        this.createLights();
+        this.applyLighting(new THREE.Vector3());
+    }
+    
+    /**
+     * Create the sun, ambient and hemisphere lights
+     */
+    createLights() {
+        // Ambient light for overall illumination
+        this.ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+        this.scene.add(this.ambientLight);
+        
+        // Directional light (sunlight), follows the focus point so shadows stay around the player
+        this.sunLight = new THREE.DirectionalLight(0xffffff, 1);
+        this.sunLight.castShadow = true;
+        
+        // Optimize shadow settings
+        this.sunLight.shadow.mapSize.width = 2048;
+        this.sunLight.shadow.mapSize.height = 2048;
+        this.sunLight.shadow.camera.near = 0.5;
+        this.sunLight.shadow.camera.far = 500;
+        this.sunLight.shadow.camera.left = -100;
+        this.sunLight.shadow.camera.right = 100;
+        this.sunLight.shadow.camera.top = 100;
+        this.sunLight.shadow.camera.bottom = -100;
+        
+        this.scene.add(this.sunLight);
+        this.scene.add(this.sunLight.target);
+        
+        // Add some hemisphere light for better ambient illumination
+        this.hemisphereLight = new THREE.HemisphereLight(0x87CEEB, 0x444444, 0.5);
+        this.scene.add(this.hemisphereLight);
+    }
+    
+    /**
+     * Get the current hour of day
+     * @returns {number} - Hour (0-23)
+     */
+    getHour() {
+        return Math.floor(this.time / 60);
+    }
+    
+    /**
+     * Get the current minute of the hour
+     * @returns {number} - Minute (0-59)
+     */
+    getMinute() {
+        return Math.floor(this.time % 60);
+    }
+    
+    /**
+     * Get the time of day as a string
+     * @returns {string} - Time formatted as HH:MM
+     */
+    getTimeString() {
+        return `${String(this.getHour()).padStart(2, '0')}:${String(this.getMinute()).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Jump to a time of day
+     * @param {number} hour - Hour (0-23)
+     * @param {number} minute - Minute (0-59)
+     */
+    setTime(hour, minute = 0) {
+        this.time = (((hour * 60 + minute) % 1440) + 1440) % 1440;
+    }
+    
+    /**
+     * Set how fast game time passes
+     * @param {number} timeScale - Game seconds per real second
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = Math.max(0, timeScale);
+    }
+    
+    /**
+     * Thicken the daytime fog so it hides everything (98%) at a distance, e.g. the camera far plane,
+     * instead of geometry disappearing at a hard edge
+     * @param {number} distance - Distance in meters
+     */
+    setViewDistance(distance) {
+        this.fogDensity = Math.sqrt(Math.log(1 / 0.02)) / distance;
+    }
+    
+    /**
+     * Check whether the current time is inside a range of hours
+     * Ranges may wrap around midnight (e.g. 22 to 4)
+     * @param {number} startHour - Start of the range (inclusive)
+     * @param {number} endHour - End of the range (exclusive)
+     * @returns {boolean} - Whether the current time is inside the range
+     */
+    isBetween(startHour, endHour) {
+        const hours = this.time / 60;
+        
+        if (startHour <= endHour) {
+            return hours >= startHour && hours < endHour;
+        }
+        
+        return hours >= startHour || hours < endHour;
+    }
+    
+    /**
+     * Check whether it's currently night
+     * @returns {boolean} - Whether the sun is down
+     */
+    isNight() {
+        return this.nightFactor > 0.5;
+    }
+    
+    /**
+     * Get how dark it is
+     * @returns {number} - 0 in full daylight, 1 at night
+     */
+    getNightFactor() {
+        return this.nightFactor;
+    }
+    
+    /**
+     * Advance the clock and update the lighting
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} focus - Position the sun's shadows should be centered on
+     */
+    update(deltaTime, focus = null) {
+        if (!this.paused) {
+            this.time = (this.time + (deltaTime * this.timeScale) / 60) % 1440;
+        }
+        
+        this.applyLighting(focus || this.sunLight.target.position);
+        
+        // Hour change
+        const hour = this.getHour();
+        if (hour !== this.lastHour) {
+            this.lastHour = hour;
+            this.dispatchEvent({ type: 'hour', hour });
+        }
+        
+        // Dusk and dawn
+        const night = this.isNight();
+        if (night !== this.night) {
+            this.night = night;
+            this.dispatchEvent({ type: night ? 'dusk' : 'dawn' });
+        }
+    }
+    
+    /**
+     * Move the sun and blend sky, fog and lights for the current time
+     * @param {THREE.Vector3} focus - Position the sun's shadows should be centered on
+     */
+    applyLighting(focus) {
+        // Sun angle: rises in the east at 6:00, highest at noon, sets in the west at 18:00
+        const angle = (this.time / 1440 - 0.25) * Math.PI * 2;
+        const elevation = Math.sin(angle);
+        const sunDirection = new THREE.Vector3(Math.cos(angle), elevation, 0.4).normalize();
+        
+        // Blend factors
+        const dayFactor = THREE.MathUtils.smoothstep(elevation, -0.1, 0.25);
+        const twilight = Math.max(0, 1 - Math.abs(elevation) / 0.25) * 0.6;
+        this.nightFactor = 1 - dayFactor;
+        
+        // Sky and fog
+        this.skyColor.lerpColors(this.skyColors.night, this.skyColors.day, dayFactor);
+        this.skyColor.lerp(this.skyColors.twilight, twilight);
+        this.overcastSky.copy(this.overcastColor).multiplyScalar(0.2 + 0.8 * dayFactor);
+        this.skyColor.lerp(this.overcastSky, this.overcast * 0.7);
+        this.scene.background.copy(this.skyColor);
+        this.scene.fog.color.copy(this.skyColor);
+        this.scene.fog.density = this.fogDensity * (1 + this.nightFactor * 0.5) * this.fogMultiplier;
+        
+        // Sun follows the focus point
+        this.sunLight.position.copy(focus).addScaledVector(sunDirection, 200);
+        this.sunLight.target.position.copy(focus);
+        this.sunLight.intensity = dayFactor * (1 - this.overcast * 0.7);
+        this.sunLight.color.copy(WHITE).lerp(this.skyColors.twilight, twilight);
+        this.sunLight.castShadow = dayFactor > 0;
+        
+        // Dim bluish ambient light at night
+        this.ambientLight.intensity = 0.15 + 0.35 * dayFactor;
+        this.ambientLight.color.setHex(0x6677AA).lerp(WHITE, dayFactor);
+        this.hemisphereLight.intensity = 0.1 + 0.4 * dayFactor;
+        this.hemisphereLight.color.copy(this.skyColor);
+    }
+}
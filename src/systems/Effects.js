@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+/**
+ * Effects system - short-lived visual effects attached to game events
+ * Listens to the physics system for explosions and shows a fireball and rising smoke
+ */
+export class EffectsSystem {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the effects to
+     * @param {object} options - Effects options
+     * @param {Physics} options.physics - Physics system whose explosions are shown
+     * @param {number} options.maxEffects - Most effects alive at once (the oldest are dropped first)
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.maxEffects = options.maxEffects || 20;
+        
+        // Live effects { object, age, duration, update }
+        this.effects = [];
+        
+        // Shared geometry, every effect gets its own material so it can fade on its own
+        this.sphereGeometry = new THREE.SphereGeometry(1, 16, 12);
+        
+        this.unsubscribe = options.physics
+            ? options.physics.onExplosion(explosion => this.spawnExplosion(explosion))
+            : null;
+    }
+    
+    /**
+     * Show an explosion
+     * In a full implementation this would also play the explosion sound
+     * @param {object} explosion - Explosion from Physics.explode ({ position, radius, ... })
+     */
+    spawnExplosion(explosion) {
+        const position = new THREE.Vector3(explosion.position.x, explosion.position.y, explosion.position.z);
+        const size = explosion.radius * 0.4;
+        
+        // Fireball that swells and fades
+        const fireball = new THREE.Mesh(this.sphereGeometry, new THREE.MeshBasicMaterial({
+            color: 0xffaa33,
+            transparent: true,
+            depthWrite: false
+        }));
+        fireball.position.copy(position);
+        this.addEffect(fireball, 0.6, (t) => {
+            fireball.scale.setScalar(size * (0.3 + t));
+            fireball.material.color.setHSL(0.1 - t * 0.08, 1, 0.6 - t * 0.3);
+            fireball.material.opacity = 1 - t;
+        });
+        
+        // Smoke drifting up
+        const smoke = new THREE.Mesh(this.sphereGeometry, new THREE.MeshLambertMaterial({
+            color: 0x333333,
+            transparent: true,
+            depthWrite: false
+        }));
+        smoke.position.copy(position);
+        this.addEffect(smoke, 4, (t) => {
+            smoke.position.y = position.y + t * explosion.radius;
+            smoke.scale.setScalar(size * (0.5 + t * 1.5));
+            smoke.material.opacity = 0.6 * (1 - t);
+        });
+    }
+    
+    /**
+     * Add an effect to the scene
+     * @param {THREE.Object3D} object - The effect's object
+     * @param {number} duration - Lifetime in seconds
+     * @param {Function} update - Called every frame with the progress (0-1)
+     */
+    addEffect(object, duration, update) {
+        if (this.effects.length >= this.maxEffects) {
+            this.removeEffect(this.effects[0]);
+        }
+        
+        update(0);
+        this.scene.add(object);
+        this.effects.push({ object, age: 0, duration, update });
+    }
+    
+    /**
+     * Remove an effect from the scene
+     * @param {object} effect - The effect
+     */
+    removeEffect(effect) {
+        this.scene.remove(effect.object);
+        if (effect.object.material) {
+            effect.object.material.dispose();
+        }
+        
+        this.effects = this.effects.filter(other => other !== effect);
+    }
+    
+    /**
+     * Animate the effects and remove the ones that have finished
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        [...this.effects].forEach(effect => {
+            effect.age += deltaTime;
+            
+            if (effect.age >= effect.duration) {
+                this.removeEffect(effect);
+            } else {
+                effect.update(effect.age / effect.duration);
+            }
+        });
+    }
+    
+    /**
+     * Remove every effect and stop listening for explosions
+     */
+    dispose() {
+        [...this.effects].forEach(effect => this.removeEffect(effect));
+        this.sphereGeometry.dispose();
+        
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+    }
+}
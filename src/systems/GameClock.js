@@ -0,0 +1,99 @@
+/**
+ * Game clock - timers that run on game time instead of wall-clock time
+ * Timers only advance when the clock is updated, so they pause with the game and fire on the same
+ * frame in every run of a deterministic simulation (unlike setTimeout and setInterval)
+ */
+export class GameClock {
+    constructor() {
+        // Seconds of game time since the clock started
+        this.time = 0;
+        
+        // Pending timers { id, time, interval, callback }
+        this.timers = [];
+        this.nextTimerId = 1;
+        
+        // Shortest repeat interval, so a zero interval can't fire forever within one update
+        this.minInterval = 0.001;
+    }
+    
+    /**
+     * Call a function once after some game time
+     * @param {number} delay - Delay in seconds
+     * @param {Function} callback - Function to call
+     * @returns {number} - Timer id (see cancel)
+     */
+    after(delay, callback) {
+        return this.addTimer(delay, 0, callback);
+    }
+    
+    /**
+     * Call a function repeatedly
+     * @param {number} interval - Seconds between calls (the first call is one interval from now)
+     * @param {Function} callback - Function to call
+     * @returns {number} - Timer id (see cancel)
+     */
+    every(interval, callback) {
+        const repeat = Math.max(interval, this.minInterval);
+        return this.addTimer(repeat, repeat, callback);
+    }
+    
+    /**
+     * Stop a timer
+     * @param {number} id - Timer id from after or every
+     */
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+    
+    /**
+     * Add a timer
+     * @param {number} delay - Seconds until it first fires
+     * @param {number} interval - Seconds between repeats (0 = fire once)
+     * @param {Function} callback - Function to call
+     * @returns {number} - Timer id
+     */
+    addTimer(delay, interval, callback) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, time: this.time + Math.max(0, delay), interval, callback });
+        
+        return id;
+    }
+    
+    /**
+     * Advance game time and fire every timer that is due, earliest first
+     * Timers due at the same time fire in the order they were created
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        let timer = this.nextDueTimer();
+        while (timer) {
+            if (timer.interval > 0) {
+                timer.time += timer.interval;
+            } else {
+                this.cancel(timer.id);
+            }
+            
+            timer.callback();
+            timer = this.nextDueTimer();
+        }
+    }
+    
+    /**
+     * Find the earliest timer that is due
+     * @returns {object|null} - The timer, or null if none is due
+     */
+    nextDueTimer() {
+        let next = null;
+        
+        this.timers.forEach(timer => {
+            if (timer.time > this.time) return;
+            if (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id)) {
+                next = timer;
+            }
+        });
+        
+        return next;
+    }
+}
@@ -1,19 +1,31 @@
 import * as THREE from 'three';
 
+// Next id handed out to a mission created without one
+let nextMissionId = 1;
+
 /**
  * Mission system for managing game missions
  */
 export class MissionSystem {
-    constructor(scene, player) {
-        // References to scene and player
+    /**
+     * @param {THREE.Scene} scene - Scene for markers and checkpoints
+     * @param {Player} player - The player
+     * @param {Physics} physics - Physics system for checkpoint and marker triggers
+     */
+    constructor(scene, player, physics) {
+        // References to scene, player and physics
         this.scene = scene;
         this.player = player;
+        this.physics = physics;
         
         // Mission tracking
         this.missions = [];
         this.activeMission = null;
         this.completedMissions = [];
         
+        // World state a failed mission is retried from, taken at the start and at every checkpoint
+        this.retryState = null;
+        
         // UI elements
         this.missionUI = {
             container: null,
@@ -26,10 +38,91 @@ export class MissionSystem {
         // Mission markers in the world
         this.missionMarkers = [];
         
+        // Game clock for missions limited to certain times of day (set with setDayNight)
+        this.dayNight = null;
+        
+        // Weather for missions that force a weather (set with setWeather)
+        this.weather = null;
+        this.weatherBeforeMission = null;
+        
+        // Game-time timers for mission scripts (set with setGameClock, see Mission.after)
+        this.gameClock = null;
+        
         // Initialize mission UI
         this.createMissionUI();
     }
     
+    /**
+     * Use a day/night cycle for missions that require a time of day
+     * @param {DayNightCycle} dayNight - The game clock
+     */
+    setDayNight(dayNight) {
+        this.dayNight = dayNight;
+    }
+    
+    /**
+     * Use a game clock for mission timers
+     * @param {GameClock} gameClock - The game clock
+     */
+    setGameClock(gameClock) {
+        this.gameClock = gameClock;
+    }
+    
+    /**
+     * Use a weather system so missions can script the weather
+     * @param {WeatherSystem} weather - The weather system
+     */
+    setWeather(weather) {
+        this.weather = weather;
+    }
+    
+    /**
+     * Apply a mission's forced weather, remembering the weather to go back to afterwards
+     * @param {Mission} mission - The starting mission
+     */
+    applyMissionWeather(mission) {
+        if (!mission.weather || !this.weather) return;
+        
+        this.weatherBeforeMission = this.weather.getWeather();
+        this.weather.setLocked(true);
+        this.weather.setWeather(mission.weather, 5);
+    }
+    
+    /**
+     * Go back to the weather from before the mission
+     */
+    restoreMissionWeather() {
+        if (!this.weather || this.weatherBeforeMission === null) return;
+        
+        this.weather.setWeather(this.weatherBeforeMission, 10);
+        this.weather.setLocked(false);
+        this.weatherBeforeMission = null;
+    }
+    
+    /**
+     * Check whether a body is the player, on foot or driving
+     * @param {CANNON.Body} body - Body that entered a trigger
+     * @returns {boolean} - Whether the body carries the player
+     */
+    isPlayerBody(body) {
+        if (this.player.isInVehicle && this.player.currentVehicle) {
+            return body === this.player.currentVehicle.chassisBody;
+        }
+        
+        return body === this.player.body;
+    }
+    
+    /**
+     * Check whether a mission can be started at the current time of day
+     * @param {Mission} mission - The mission to check
+     * @returns {boolean} - Whether the mission is available
+     */
+    isMissionAvailable(mission) {
+        if (!mission.timeWindow || !this.dayNight) return true;
+        
+        return this.dayNight.isBetween(mission.timeWindow.start, mission.timeWindow.end);
+    }
+    
     /**
      * Create UI elements for mission display
      */
@@ -161,13 +254,32 @@ export class MissionSystem {
         this.scene.add(markerGroup);
         
         // Store reference with mission data
-        this.missionMarkers.push({
+        const marker = {
             mesh: markerGroup,
             mission: mission,
             light: light,
             originalIntensity: 1,
-            originalY: position.y + 0.1
+            originalY: position.y + 0.1,
+            playerInside: false
+        };
+        
+        // Standing in the trigger shows the mission prompt
+        marker.trigger = this.physics.createTrigger({
+            shape: 'cylinder',
+            radius: 3,
+            height: 4,
+            position: new THREE.Vector3(position.x, position.y + 2, position.z),
+            filter: body => this.isPlayerBody(body),
+            onEnter: () => {
+                marker.playerInside = true;
+            },
+            onExit: () => {
+                marker.playerInside = false;
+                this.hideMissionPrompt();
+            }
         });
+        
+        this.missionMarkers.push(marker);
     }
     
     /**
@@ -187,6 +299,10 @@ export class MissionSystem {
         
         // Initialize mission
         mission.initialize();
+        this.saveRetryState(mission);
+        
+        // Mission weather
+        this.applyMissionWeather(mission);
         
         // Update UI
         this.updateMissionUI();
@@ -195,6 +311,43 @@ export class MissionSystem {
         return true;
     }
     
+    /**
+     * Remember the current world and objectives so a failed mission can be retried from here
+     * @param {Mission} mission - The active mission
+     */
+    saveRetryState(mission) {
+        this.retryState = {
+            mission,
+            snapshot: this.physics.snapshot(),
+            completedObjectives: mission.objectives.filter(objective => objective.completed).map(objective => objective.id)
+        };
+    }
+    
+    /**
+     * Retry the last failed mission from the last checkpoint reached (or from its start)
+     * Bodies go back exactly where they were at that moment and objectives done by then stay done
+     * @returns {boolean} - Whether the mission was restarted
+     */
+    retryMission() {
+        if (!this.retryState || this.activeMission) return false;
+        
+        const retryState = this.retryState;
+        const { mission, snapshot, completedObjectives } = retryState;
+        if (mission.status !== 'failed') return false;
+        
+        this.physics.restore(snapshot);
+        this.player.position.copy(this.player.body.position);
+        
+        this.startMission(mission);
+        mission.objectives.forEach(objective => {
+            objective.completed = completedObjectives.includes(objective.id);
+        });
+        this.retryState = retryState;
+        this.updateMissionUI();
+        
+        return true;
+    }
+    
     /**
      * Complete a mission objective
      * @param {string} objectiveId - ID of the objective to complete
@@ -233,11 +386,14 @@ export class MissionSystem {
         // Show completion message
         this.showMissionComplete(this.activeMission);
         
-        // Remove mission marker
+        // Remove mission marker, checkpoints and timers
         this.removeMissionMarker(this.activeMission);
+        this.removeCheckpoints(this.activeMission);
+        this.activeMission.cancelTimers();
         
         // Clear active mission
         this.activeMission = null;
+        this.restoreMissionWeather();
         
         // Hide mission UI after delay
         setTimeout(() => {
@@ -258,8 +414,13 @@ export class MissionSystem {
         // Show failure message
         this.showMissionFailed(this.activeMission, reason);
         
+        // Remove checkpoints and timers (they're recreated if the mission is retried)
+        this.removeCheckpoints(this.activeMission);
+        this.activeMission.cancelTimers();
+        
         // Clear active mission
         this.activeMission = null;
+        this.restoreMissionWeather();
         
         // Hide mission UI after delay
         setTimeout(() => {
@@ -543,6 +704,7 @@ export class MissionSystem {
             
             // Remove from scene
             this.scene.remove(marker.mesh);
+            this.physics.removeTrigger(marker.trigger);
             
             // Remove from array
             this.missionMarkers.splice(markerIndex, 1);
@@ -596,6 +758,20 @@ export class MissionSystem {
             mission: mission
         };
         
+        // Fires when the player drives or walks through the ring
+        checkpoint.trigger = this.physics.createTrigger({
+            shape: 'cylinder',
+            radius: checkpoint.radius,
+            height: 4,
+            position: new THREE.Vector3(position.x, position.y + 2, position.z),
+            filter: body => this.isPlayerBody(body),
+            onEnter: () => {
+                if (this.activeMission === mission) {
+                    this.triggerCheckpoint(checkpoint);
+                }
+            }
+        });
+        
         // Add to mission checkpoints
         if (!mission.checkpoints) {
             mission.checkpoints = [];
@@ -606,18 +782,20 @@ export class MissionSystem {
     }
     
     /**
-     * Check if player is within checkpoint radius
-     * @param {object} checkpoint - The checkpoint to check
-     * @returns {boolean} - Whether player is within checkpoint
+     * Remove a mission's checkpoints and their triggers
+     * @param {Mission} mission - The mission
      */
-    isPlayerInCheckpoint(checkpoint) {
-        if (!checkpoint.active || checkpoint.triggered) return false;
-        
-        // Calculate distance from player to checkpoint
-        const distance = this.player.position.distanceTo(checkpoint.position);
+    removeCheckpoints(mission) {
+        mission.checkpoints.forEach(checkpoint => {
+            this.physics.removeTrigger(checkpoint.trigger);
+            
+            // Triggered checkpoints fade out by themselves
+            if (!checkpoint.triggered) {
+                this.scene.remove(checkpoint.mesh);
+            }
+        });
         
-        // Check if within radius
-        return distance <= checkpoint.radius;
+        mission.checkpoints = [];
     }
     
     /**
@@ -629,12 +807,18 @@ export class MissionSystem {
         
         // Mark as triggered
         checkpoint.triggered = true;
+        this.physics.removeTrigger(checkpoint.trigger);
         
         // Call the trigger callback
         if (checkpoint.triggerCallback) {
             checkpoint.triggerCallback(this.player, checkpoint);
         }
         
+        // Retry from here if the mission is failed later
+        if (this.activeMission) {
+            this.saveRetryState(this.activeMission);
+        }
+        
         // Update visual appearance
         if (checkpoint.mesh) {
             // Change color to indicate it's been triggered
@@ -671,15 +855,6 @@ export class MissionSystem {
             
             // Update UI
             this.updateMissionUI();
-            
-            // Check checkpoints
-            if (this.activeMission.checkpoints) {
-                this.activeMission.checkpoints.forEach(checkpoint => {
-                    if (this.isPlayerInCheckpoint(checkpoint)) {
-                        this.triggerCheckpoint(checkpoint);
-                    }
-                });
-            }
         }
         
         // Update mission markers
@@ -712,41 +887,29 @@ export class MissionSystem {
     }
     
     /**
-     * Check if player is near any mission start triggers
+     * Show the prompt for the mission marker the player is standing in
      */
     checkMissionTriggers() {
-        // For each mission marker, check if player is nearby
-        this.missionMarkers.forEach(marker => {
-            const mission = marker.mission;
-            
-            // Skip if mission is already completed
-            if (mission.status === 'completed') return;
-            
-            // Calculate distance from player to marker
-            const markerPosition = new THREE.Vector3();
-            marker.mesh.getWorldPosition(markerPosition);
-            const distance = this.player.position.distanceTo(markerPosition);
-            
-            // If player is close enough, show prompt
-            if (distance < 3) {
-                this.showMissionPrompt(mission);
-                
-                // Check for interaction key to start mission
-                if (this.player.controls.actions.interact) {
-                    this.startMission(mission);
-                    this.hideMissionPrompt();
-                }
-            } else {
-                this.hideMissionPrompt();
-            }
-        });
+        const marker = this.missionMarkers.find(marker => marker.playerInside && marker.mission.status !== 'completed');
+        if (!marker) return;
+        
+        const mission = marker.mission;
+        const available = this.isMissionAvailable(mission);
+        this.showMissionPrompt(mission, available);
+        
+        // Check for interaction key to start mission
+        if (available && this.player.controls.actions.interact) {
+            this.startMission(mission);
+            this.hideMissionPrompt();
+        }
     }
     
     /**
      * Show prompt to start a mission
      * @param {Mission} mission - The mission to show prompt for
+     * @param {boolean} available - Whether the mission can be started right now
      */
-    showMissionPrompt(mission) {
+    showMissionPrompt(mission, available = true) {
         // Check if prompt already exists
         let prompt = document.getElementById('mission-prompt');
         
@@ -769,10 +932,13 @@ export class MissionSystem {
         }
         
         // Update prompt text
+        const hint = available
+            ? 'Press E to start mission'
+            : `Available between ${String(mission.timeWindow.start).padStart(2, '0')}:00 and ${String(mission.timeWindow.end).padStart(2, '0')}:00`;
         prompt.innerHTML = `
             <h3 style="margin:0 0 5px 0; color:#ffcc00;">${mission.title}</h3>
             <p style="margin:0 0 5px 0;">${mission.description}</p>
-            <p style="margin:0; font-size:14px;">Press E to start mission</p>
+            <p style="margin:0; font-size:14px;">${hint}</p>
         `;
         
         // Show prompt
@@ -804,7 +970,7 @@ export class Mission {
         this.missionSystem = missionSystem;
         
         // Mission properties
-        this.id = missionData.id || `mission_${Date.now()}`;
+        this.id = missionData.id || `mission_${nextMissionId++}`;
         this.title = missionData.title || 'Untitled Mission';
         this.description = missionData.description || 'No description available';
         this.type = missionData.type || 'side'; // 'main' or 'side'
@@ -818,6 +984,12 @@ export class Mission {
         
         // Time limit (0 = no limit)
         this.timeLimit = missionData.timeLimit || 0;
+        
+        // Hours of the day the mission can be started, e.g. { start: 22, end: 4 } (null = any time)
+        this.timeWindow = missionData.timeWindow || null;
+        
+        // Weather forced while the mission is active, e.g. 'storm' (null = leave it alone)
+        this.weather = missionData.weather || null;
         this.elapsedTime = 0;
         
         // Rewards
@@ -833,6 +1005,52 @@ export class Mission {
         // Mission state
         this.status = 'inactive'; // inactive, active, completed, failed
         this.checkpoints = [];
+        this.timers = []; // Game clock timer ids, cancelled when the mission ends
+    }
+    
+    /**
+     * Call a function once after some game time, unless the mission ends first
+     * @param {number} delay - Delay in seconds
+     * @param {Function} callback - Function to call
+     * @returns {number} - Timer id (see cancelTimer)
+     */
+    after(delay, callback) {
+        const id = this.missionSystem.gameClock.after(delay, () => {
+            this.timers = this.timers.filter(timerId => timerId !== id);
+            callback();
+        });
+        this.timers.push(id);
+        
+        return id;
+    }
+    
+    /**
+     * Call a function repeatedly until the mission ends
+     * @param {number} interval - Seconds between calls
+     * @param {Function} callback - Function to call
+     * @returns {number} - Timer id (see cancelTimer)
+     */
+    every(interval, callback) {
+        const id = this.missionSystem.gameClock.every(interval, callback);
+        this.timers.push(id);
+        
+        return id;
+    }
+    
+    /**
+     * Stop one of the mission's timers
+     * @param {number} id - Timer id from after or every
+     */
+    cancelTimer(id) {
+        this.missionSystem.gameClock.cancel(id);
+        this.timers = this.timers.filter(timerId => timerId !== id);
+    }
+    
+    /**
+     * Stop all of the mission's timers (when it completes or fails, so a retry doesn't run them twice)
+     */
+    cancelTimers() {
+        [...this.timers].forEach(id => this.cancelTimer(id));
     }
     
     /**
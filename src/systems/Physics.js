@@ -1,16 +1,40 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
+import { PhysicsDebugRenderer } from './PhysicsDebug.js';
+
+// RaycastVehicle wheel fields kept in snapshots
+const WHEEL_STATE_KEYS = ['steering', 'rotation', 'deltaRotation', 'engineForce', 'brake', 'suspensionLength', 'suspensionRelativeVelocity'];
+
+// Density of water in kg/m³ (a body floats when it displaces more than its own mass)
+const WATER_DENSITY = 1000;
 
 /**
  * Physics system class that manages the physics simulation for the game.
  */
 export class Physics {
-    constructor() {
+    /**
+     * @param {object} options - Simulation options
+     * @param {number} options.fixedTimeStep - Length of one physics step in seconds
+     * @param {number} options.maxSubSteps - Most steps taken in a single frame before time is dropped
+     */
+    constructor(options = {}) {
+        // Fixed time step simulation: frame time is accumulated and consumed in whole steps,
+        // rendering interpolates between the last two physics states
+        this.fixedTimeStep = options.fixedTimeStep || 1 / 60;
+        this.maxSubSteps = options.maxSubSteps || 5;
+        this.accumulator = 0;
+        this.interpolationAlpha = 0;
+        
         // Physics world setup
         this.world = new CANNON.World({
             gravity: new CANNON.Vec3(0, -9.82, 0) // Earth gravity
         });
         
+        // New bodies start interpolating from where they were added rather than the origin
+        this.world.addEventListener('addBody', (event) => {
+            this.resetInterpolation(event.body);
+        });
+        
         // Set up default material properties
         this.defaultMaterial = new CANNON.Material('default');
         this.defaultContactMaterial = new CANNON.ContactMaterial(
@@ -35,67 +59,318 @@ export class Physics {
         );
         this.world.addContactMaterial(this.vehicleGroundContactMaterial);
         
+        // Grip multiplier for vehicles (lowered by wet weather)
+        this.vehicleGroundFriction = this.vehicleGroundContactMaterial.friction;
+        this.vehicleGrip = 1;
+        
+        // Character capsules don't rub on anything: the CharacterController gives feet their grip
+        this.characterMaterial = new CANNON.Material('character');
+        this.world.addContactMaterial(new CANNON.ContactMaterial(this.defaultMaterial, this.characterMaterial, {
+            friction: 0,
+            restitution: 0
+        }));
+        
+        // Ragdolls have their own material so surfaces can give limbs a different friction to tyres
+        this.ragdollMaterial = new CANNON.Material('ragdoll');
+        
+        // Surface materials (asphalt, grass, ice...) with contact materials against tyres and feet
+        this.surfaceMaterials = new Map();
+        this.tyreContactMaterials = [];
+        this.createSurfaceMaterials();
+        
         // Set the default contact material
         this.world.defaultContactMaterial = this.defaultContactMaterial;
         
         // Collections of objects to update
         this.objects = [];
         this.vehicles = [];
+        this.triggers = [];
+        
+        // Entity registry: what each body belongs to, looked up by body id, mesh or entity id
+        this.bodyEntities = new Map();
+        this.meshEntities = new Map();
+        this.entityIds = new Map();
         
-        // Debug objects
+        // Debug renderer (created on first enableDebug)
         this.debugMode = false;
-        this.debugObjects = [];
+        this.debugRenderer = null;
         
-        // Collision event listeners
-        this.collisionCallbacks = {};
+        // Collision event listeners, indexed by body id
+        this.collisionListeners = new Map();
+        this.pendingCollisionEvents = [];
+        this.startedContacts = new Set(); // 'bodyId:otherId' pairs that already queued a start this step
+        this.impactThreshold = 1; // Closing speed in m/s below which contacts aren't impacts
         this.setupCollisionEvents();
+        
+        // Explosion listeners (effects) and explosions waiting for the current one to finish (chain reactions)
+        this.explosionListeners = new Set();
+        this.pendingExplosions = [];
+        this.exploding = false;
+        
+        // Bodies that feel more or less gravity than the world's (body -> scale)
+        this.gravityScales = new Map();
+        
+        // Bodies vehicle wheels pass through (ragdoll parts)
+        this.wheelRayIgnored = new Set();
+        
+        // Water (sea, canals) and the bodies that float in it (body -> buoyancy, see setBuoyancy)
+        this.waterVolumes = [];
+        this.floatingBodies = new Map();
+    }
+    
+    /**
+     * Create a material for every surface in Physics.SURFACES, with contact materials against
+     * vehicles (tyres), characters (frictionless, see CharacterController) and ragdolls (feet)
+     */
+    createSurfaceMaterials() {
+        Object.entries(Physics.SURFACES).forEach(([name, surface]) => {
+            const material = new CANNON.Material(name);
+            this.surfaceMaterials.set(name, material);
+            
+            const tyreContactMaterial = new CANNON.ContactMaterial(material, this.vehicleMaterial, {
+                friction: surface.tyreFriction * this.vehicleGrip,
+                restitution: surface.restitution
+            });
+            tyreContactMaterial.baseFriction = surface.tyreFriction;
+            this.tyreContactMaterials.push(tyreContactMaterial);
+            this.world.addContactMaterial(tyreContactMaterial);
+            
+            this.world.addContactMaterial(new CANNON.ContactMaterial(material, this.characterMaterial, {
+                friction: 0,
+                restitution: 0
+            }));
+            
+            this.world.addContactMaterial(new CANNON.ContactMaterial(material, this.ragdollMaterial, {
+                friction: surface.footFriction,
+                restitution: 0
+            }));
+        });
+    }
+    
+    /**
+     * Get the material of a surface
+     * @param {string} name - Surface name (see Physics.SURFACES)
+     * @returns {CANNON.Material} - The surface material, or the default material for unknown surfaces
+     */
+    getSurfaceMaterial(name) {
+        const material = this.surfaceMaterials.get(name);
+        if (!material) {
+            console.warn(`Unknown surface: ${name}`);
+            return this.defaultMaterial;
+        }
+        
+        return material;
+    }
+    
+    /**
+     * Get the surface a body is made of
+     * @param {CANNON.Body} body - The physics body
+     * @returns {string|null} - Surface name, or null if the body has no surface material
+     */
+    getBodySurface(body) {
+        if (!body || !body.material) return null;
+        
+        return this.surfaceMaterials.get(body.material.name) === body.material ? body.material.name : null;
+    }
+    
+    /**
+     * Get the surface under a position (for grip, footstep and tyre sounds)
+     * @param {THREE.Vector3|CANNON.Vec3} position - Position to look down from (e.g. a character's feet)
+     * @param {number} maxDistance - How far below the position to look
+     * @returns {string|null} - Surface name, or null if there is no surface below
+     */
+    getSurfaceAt(position, maxDistance = 2) {
+        const from = new CANNON.Vec3(position.x, position.y + 0.5, position.z);
+        const to = new CANNON.Vec3(position.x, position.y - maxDistance, position.z);
+        const result = this.rayTest(from, to, { mask: Physics.GROUPS.WORLD });
+        
+        return result.hasHit ? this.getBodySurface(result.body) : null;
     }
     
     /**
      * Set up collision event listeners
+     * Events are collected during a step and dispatched once it has finished,
+     * so handlers can safely add or remove bodies
      */
     setupCollisionEvents() {
-        this.world.addEventListener('beginContact', (event) => {
-            const bodyA = event.bodyA;
-            const bodyB = event.bodyB;
+        // Fired on each body when it first touches another, before the contact is solved
+        // (once for every contact point of the pair, only the first one counts)
+        this.handleBodyCollide = (event) => {
+            const key = `${event.target.id}:${event.body.id}`;
+            if (this.startedContacts.has(key)) return;
             
-            // Call any registered collision callbacks
-            if (bodyA.id in this.collisionCallbacks) {
-                this.collisionCallbacks[bodyA.id](bodyA, bodyB);
-            }
-            if (bodyB.id in this.collisionCallbacks) {
-                this.collisionCallbacks[bodyB.id](bodyB, bodyA);
-            }
+            this.startedContacts.add(key);
+            this.queueCollisionStart(event.target, event.body, event.contact);
+        };
+        
+        // Either body may be missing if it was removed from the world while touching
+        this.world.addEventListener('endContact', (event) => {
+            const { bodyA = null, bodyB = null } = event;
+            
+            if (bodyA) this.queueCollisionEvent('collisionEnd', bodyA, bodyB, null);
+            if (bodyB) this.queueCollisionEvent('collisionEnd', bodyB, bodyA, null);
         });
     }
     
+    /**
+     * Subscribe to collision events of a body
+     * Handlers receive { type, body, other, point, normal, relativeVelocity, impactSpeed };
+     * point, normal and velocities are null for collisionEnd
+     * @param {string} type - 'collisionStart', 'collisionEnd' or 'impact' (a start faster than impactThreshold)
+     * @param {CANNON.Body} body - The body to listen to
+     * @param {Function} handler - Function called with the collision data
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, body, handler) {
+        if (!Physics.COLLISION_EVENTS.includes(type)) {
+            console.warn(`Unknown collision event: ${type}`);
+            return () => {};
+        }
+        
+        let listeners = this.collisionListeners.get(body.id);
+        if (!listeners) {
+            listeners = { body };
+            Physics.COLLISION_EVENTS.forEach(eventType => {
+                listeners[eventType] = new Set();
+            });
+            this.collisionListeners.set(body.id, listeners);
+            body.addEventListener('collide', this.handleBodyCollide);
+        }
+        
+        listeners[type].add(handler);
+        
+        return () => this.off(type, body, handler);
+    }
+    
+    /**
+     * Unsubscribe from collision events of a body
+     * @param {string} type - Event type passed to on()
+     * @param {CANNON.Body} body - The body
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, body, handler) {
+        const listeners = this.collisionListeners.get(body.id);
+        if (!listeners || !listeners[type]) return;
+        
+        listeners[type].delete(handler);
+        
+        // Stop listening to the body once nothing is subscribed
+        if (Physics.COLLISION_EVENTS.every(eventType => listeners[eventType].size === 0)) {
+            this.removeCollisionListeners(body);
+        }
+    }
+    
+    /**
+     * Drop every collision listener of a body
+     * @param {CANNON.Body} body - The body
+     */
+    removeCollisionListeners(body) {
+        if (!this.collisionListeners.has(body.id)) return;
+        
+        body.removeEventListener('collide', this.handleBodyCollide);
+        this.collisionListeners.delete(body.id);
+    }
+    
     /**
      * Register a callback for when a body collides with another
      * @param {CANNON.Body} body - The body to register the callback for
-     * @param {Function} callback - The function to call on collision
+     * @param {Function} callback - Called with (body, otherBody, event)
+     * @returns {Function} - Call to unsubscribe
      */
     onCollision(body, callback) {
-        this.collisionCallbacks[body.id] = callback;
+        return this.on('collisionStart', body, event => callback(event.body, event.other, event));
+    }
+    
+    /**
+     * Work out the contact data of a new collision and queue its events
+     * @param {CANNON.Body} body - Body the event is for
+     * @param {CANNON.Body} other - Body it collided with
+     * @param {CANNON.ContactEquation} contact - The first contact between them
+     */
+    queueCollisionStart(body, other, contact) {
+        // The contact normal points out of bi; flip it so it points from the other body into this one
+        const isBodyI = contact.bi === body;
+        const normal = isBodyI ? contact.ni.negate() : contact.ni.clone();
+        const offset = isBodyI ? contact.ri : contact.rj;
+        const otherOffset = isBodyI ? contact.rj : contact.ri;
+        const point = body.position.vadd(offset);
+        
+        // Velocity of each body at the contact point
+        const velocity = body.velocity.vadd(body.angularVelocity.cross(offset));
+        const otherVelocity = other.velocity.vadd(other.angularVelocity.cross(otherOffset));
+        const relativeVelocity = velocity.vsub(otherVelocity);
+        
+        // How fast the bodies were closing along the normal
+        const impactSpeed = Math.max(0, -relativeVelocity.dot(normal));
+        
+        const data = { point, normal, relativeVelocity, impactSpeed };
+        this.queueCollisionEvent('collisionStart', body, other, data);
+        
+        if (impactSpeed >= this.impactThreshold) {
+            this.queueCollisionEvent('impact', body, other, data);
+        }
+    }
+    
+    /**
+     * Queue a collision event if anything listens for it
+     * @param {string} type - Event type
+     * @param {CANNON.Body} body - Body the event is for
+     * @param {CANNON.Body} other - Body it collided with
+     * @param {object} data - Contact data (null for collisionEnd)
+     */
+    queueCollisionEvent(type, body, other, data) {
+        const listeners = this.collisionListeners.get(body.id);
+        if (!listeners || listeners[type].size === 0) return;
+        
+        this.pendingCollisionEvents.push({
+            type,
+            body,
+            other,
+            point: data ? data.point : null,
+            normal: data ? data.normal : null,
+            relativeVelocity: data ? data.relativeVelocity : null,
+            impactSpeed: data ? data.impactSpeed : 0
+        });
+    }
+    
+    /**
+     * Dispatch the collision events collected during the last step
+     */
+    dispatchCollisionEvents() {
+        const events = this.pendingCollisionEvents;
+        this.pendingCollisionEvents = [];
+        this.startedContacts.clear();
+        
+        events.forEach(event => {
+            const listeners = this.collisionListeners.get(event.body.id);
+            if (!listeners) return;
+            
+            // Copy so handlers can unsubscribe while being called
+            [...listeners[event.type]].forEach(handler => handler(event));
+        });
     }
     
     /**
      * Create a ground plane
      * @param {number} width - Width of the ground plane
      * @param {number} height - Height of the ground plane
+     * @param {string} surface - Surface of the ground (see Physics.SURFACES)
      * @returns {CANNON.Body} - The created physics body
      */
-    createGround(width, height) {
+    createGround(width, height, surface = null) {
         // Create a static ground plane
         const groundShape = new CANNON.Box(new CANNON.Vec3(width / 2, 0.1, height / 2));
         const groundBody = new CANNON.Body({
             mass: 0, // Static body
-            material: this.defaultMaterial,
+            material: surface ? this.getSurfaceMaterial(surface) : this.defaultMaterial,
             shape: groundShape,
             type: CANNON.Body.STATIC
         });
         
-        // Rotate to be flat on the xz plane
-        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        // The box is already flat on the xz plane - sink it so the top surface is at y = 0
+        groundBody.position.set(0, -0.1, 0);
+        groundBody.aabbNeedsUpdate = true;
+        this.setCollisionFilter(groundBody, {}, Physics.GROUPS.WORLD);
         this.world.addBody(groundBody);
         
         return groundBody;
@@ -103,23 +378,40 @@ export class Physics {
     
     /**
      * Create a box physics body
-     * @param {object} options - Options for the box body
+     * @param {object} options - Options for the box body (surface picks a material from Physics.SURFACES)
      * @returns {CANNON.Body} - The created physics body
      */
     createBox(options) {
-        const { width, height, depth, mass = 1, position, material = this.defaultMaterial } = options;
+        const {
+            width,
+            height,
+            depth,
+            mass = 1,
+            position,
+            surface,
+            material = surface ? this.getSurfaceMaterial(surface) : this.defaultMaterial,
+            userData
+        } = options;
         
         const boxShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
         const boxBody = new CANNON.Body({
-            mass,
+            mass, // A mass of 0 makes the body static
             material,
             shape: boxShape
         });
         
         if (position) {
             boxBody.position.copy(position);
+            // Static bodies never refresh their bounds while stepping, so flag it after moving
+            boxBody.aabbNeedsUpdate = true;
+        }
+        
+        if (userData) {
+            this.registerEntity(boxBody, userData);
         }
         
+        this.setCollisionFilter(boxBody, options, Physics.GROUPS.WORLD);
+        
         this.world.addBody(boxBody);
         
         return boxBody;
@@ -127,11 +419,12 @@ export class Physics {
     
     /**
      * Create a sphere physics body
-     * @param {object} options - Options for the sphere body
+     * @param {object} options - Options for the sphere body (velocity sets how it starts moving,
+     * gravityScale how strongly gravity pulls it, e.g. 0 for rockets)
      * @returns {CANNON.Body} - The created physics body
      */
     createSphere(options) {
-        const { radius, mass = 1, position, material = this.defaultMaterial } = options;
+        const { radius, mass = 1, position, velocity, gravityScale = 1, material = this.defaultMaterial, userData } = options;
         
         const sphereShape = new CANNON.Sphere(radius);
         const sphereBody = new CANNON.Body({
@@ -144,11 +437,67 @@ export class Physics {
             sphereBody.position.copy(position);
         }
         
+        if (velocity) {
+            sphereBody.velocity.set(velocity.x, velocity.y, velocity.z);
+        }
+        
+        if (gravityScale !== 1) {
+            this.setGravityScale(sphereBody, gravityScale);
+        }
+        
+        if (userData) {
+            this.registerEntity(sphereBody, userData);
+        }
+        
+        this.setCollisionFilter(sphereBody, options, Physics.GROUPS.WORLD);
+        
         this.world.addBody(sphereBody);
         
         return sphereBody;
     }
     
+    /**
+     * Create an upright cylinder physics body (poles, posts, etc.)
+     * @param {object} options - Options for the cylinder body (surface picks a material from Physics.SURFACES)
+     * @returns {CANNON.Body} - The created physics body
+     */
+    createCylinder(options) {
+        const {
+            radius,
+            height,
+            mass = 1,
+            position,
+            surface,
+            material = surface ? this.getSurfaceMaterial(surface) : this.defaultMaterial,
+            userData,
+            segments = 8
+        } = options;
+        
+        // cannon-es cylinders are aligned with the y-axis
+        const cylinderShape = new CANNON.Cylinder(radius, radius, height, segments);
+        const cylinderBody = new CANNON.Body({
+            mass,
+            material,
+            shape: cylinderShape
+        });
+        
+        if (position) {
+            cylinderBody.position.copy(position);
+            // Static bodies never refresh their bounds while stepping, so flag it after moving
+            cylinderBody.aabbNeedsUpdate = true;
+        }
+        
+        if (userData) {
+            this.registerEntity(cylinderBody, userData);
+        }
+        
+        this.setCollisionFilter(cylinderBody, options, Physics.GROUPS.WORLD);
+        
+        this.world.addBody(cylinderBody);
+        
+        return cylinderBody;
+    }
+    
     /**
      * Create a compound physics body (for complex shapes)
      * @param {object} options - Options for the compound body
@@ -171,6 +520,8 @@ export class Physics {
             compoundBody.position.copy(position);
         }
         
+        this.setCollisionFilter(compoundBody, options, Physics.GROUPS.WORLD);
+        
         this.world.addBody(compoundBody);
         
         return compoundBody;
@@ -208,6 +559,8 @@ export class Physics {
             chassisBody.position.copy(position);
         }
         
+        this.setCollisionFilter(chassisBody, options, Physics.GROUPS.VEHICLE);
+        
         this.world.addBody(chassisBody);
         
         // Create vehicle
@@ -267,6 +620,15 @@ export class Physics {
         );
         vehicle.addWheel(wheelOptions);
         
+        // Wheels don't stand on ragdolls: their suspension and friction impulses would launch the light parts
+        const castRay = vehicle.castRay.bind(vehicle);
+        vehicle.castRay = (wheel) => {
+            this.wheelRayIgnored.forEach(body => { body.collisionResponse = false; });
+            const depth = castRay(wheel);
+            this.wheelRayIgnored.forEach(body => { body.collisionResponse = true; });
+            return depth;
+        };
+        
         // Initialize wheels
         vehicle.addToWorld(this.world);
         
@@ -297,6 +659,10 @@ export class Physics {
         });
         
         // Store vehicle for updates
+        vehicle.wheelInfos.forEach(wheel => {
+            wheel.baseFrictionSlip = wheel.frictionSlip;
+            wheel.frictionSlip = wheel.baseFrictionSlip * this.vehicleGrip;
+        });
         this.vehicles.push({
             vehicle,
             chassisBody,
@@ -312,6 +678,28 @@ export class Physics {
         };
     }
     
+    /**
+     * Remove a vehicle, its chassis body and its mesh link
+     * @param {CANNON.RaycastVehicle} vehicle - Vehicle returned by createVehicle
+     */
+    removeVehicle(vehicle) {
+        const index = this.vehicles.findIndex(vehicleObj => vehicleObj.vehicle === vehicle);
+        if (index === -1) return;
+        
+        const { chassisBody } = this.vehicles[index];
+        this.vehicles.splice(index, 1);
+        
+        // Also drops the preStep listener that updates the vehicle
+        vehicle.removeFromWorld(this.world);
+        
+        const objectIndex = this.objects.findIndex(obj => obj.body === chassisBody);
+        if (objectIndex !== -1) {
+            this.objects.splice(objectIndex, 1);
+        }
+        
+        this.removeBody(chassisBody);
+    }
+    
     /**
      * Create a character body (player or NPC)
      * @param {object} options - Options for the character body
@@ -323,15 +711,16 @@ export class Physics {
             radius = 0.3, 
             mass = 70, 
             position,
-            stepHeight = 0.1
+            stepHeight = 0.1,
+            maxSlope = 45
         } = options;
         
         // Create character capsule from a cylinder and two spheres
         const characterBody = new CANNON.Body({
             mass,
-            material: this.defaultMaterial,
+            material: this.characterMaterial,
             allowSleep: false,
-            linearDamping: 0.95, // Damping to prevent sliding
+            linearDamping: 0, // Speeding up and slowing down is left to the CharacterController
             fixedRotation: true, // Prevent the body from rotating
             type: CANNON.Body.DYNAMIC
         });
@@ -371,22 +760,365 @@ export class Physics {
             characterBody.position.copy(position);
         }
         
-        // Add step handling (simple ray casting for stepping up)
+        // Capsule size, step height and steepest walkable slope (in degrees) for ground casts and step checks
+        characterBody.capsule = { height, radius };
         characterBody.stepHeight = stepHeight;
+        characterBody.maxSlope = maxSlope;
+        
+        this.setCollisionFilter(characterBody, options, Physics.GROUPS.CHARACTER);
         
         this.world.addBody(characterBody);
         
         return characterBody;
     }
     
+    /**
+     * Create a ragdoll: jointed boxes and a sphere head standing where a character of the same height would
+     * Swap it in for a character body (see createCharacter) when the character dies or is knocked down
+     * @param {object} options - Options for the ragdoll
+     * @param {number} options.height - Height of the character in meters
+     * @param {number} options.mass - Total mass in kg
+     * @param {THREE.Vector3|CANNON.Vec3} options.position - Center of the character (as for createCharacter)
+     * @param {THREE.Quaternion|CANNON.Quaternion} options.quaternion - Which way the character faces
+     * @param {THREE.Vector3|CANNON.Vec3} options.velocity - Velocity every part starts with
+     * @param {object} options.userData - Extra fields for the parts' entity records (e.g. owner)
+     * @returns {object} - Ragdoll { parts: { name: { body, offset, size } }, bodies, constraints }; offsets are
+     * the parts' standing positions relative to the center
+     */
+    createRagdoll(options = {}) {
+        const {
+            height = 1.8,
+            mass = 70,
+            position = new CANNON.Vec3(),
+            quaternion = new CANNON.Quaternion(),
+            velocity,
+            userData = {}
+        } = options;
+        
+        // The layout is for a 1.8m character
+        const scale = height / 1.8;
+        const rotation = new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        const center = new CANNON.Vec3(position.x, position.y, position.z);
+        
+        const ragdoll = { parts: {}, bodies: [], constraints: [] };
+        
+        Object.entries(Physics.RAGDOLL.parts).forEach(([name, part]) => {
+            const offset = new CANNON.Vec3(part.position[0], part.position[1], part.position[2]).scale(scale);
+            const size = part.size.map(value => value * scale);
+            const shape = part.shape === 'sphere'
+                ? new CANNON.Sphere(size[0])
+                : new CANNON.Box(new CANNON.Vec3(size[0] / 2, size[1] / 2, size[2] / 2));
+            
+            const body = new CANNON.Body({
+                mass: mass * part.mass,
+                material: this.ragdollMaterial,
+                shape,
+                angularDamping: 0.6, // Keeps the limbs from flailing forever
+                linearDamping: 0.05
+            });
+            
+            body.position.copy(center.vadd(rotation.vmult(offset)));
+            body.quaternion.copy(rotation);
+            if (velocity) {
+                body.velocity.set(velocity.x, velocity.y, velocity.z);
+            }
+            
+            this.setCollisionFilter(body, options, Physics.GROUPS.DEBRIS);
+            this.world.addBody(body);
+            this.registerEntity(body, { ...userData, type: 'ragdoll', part: name });
+            this.wheelRayIgnored.add(body);
+            
+            ragdoll.parts[name] = { body, offset, size };
+            ragdoll.bodies.push(body);
+        });
+        
+        Physics.RAGDOLL.joints.forEach(joint => {
+            const partA = ragdoll.parts[joint.parts[0]];
+            const partB = ragdoll.parts[joint.parts[1]];
+            
+            // Pivots in each part's own space (the parts start unrotated relative to each other)
+            const pivot = new CANNON.Vec3(joint.pivot[0], joint.pivot[1], joint.pivot[2]).scale(scale);
+            const pivotA = pivot.vsub(partA.offset);
+            const pivotB = pivot.vsub(partB.offset);
+            
+            const constraint = joint.type === 'hinge'
+                ? new CANNON.HingeConstraint(partA.body, partB.body, {
+                    pivotA,
+                    pivotB,
+                    axisA: new CANNON.Vec3(1, 0, 0),
+                    axisB: new CANNON.Vec3(1, 0, 0)
+                })
+                : new CANNON.ConeTwistConstraint(partA.body, partB.body, {
+                    pivotA,
+                    pivotB,
+                    axisA: new CANNON.Vec3(0, 1, 0),
+                    axisB: new CANNON.Vec3(0, 1, 0),
+                    angle: joint.angle,
+                    twistAngle: joint.twistAngle
+                });
+            
+            this.world.addConstraint(constraint);
+            ragdoll.constraints.push(constraint);
+        });
+        
+        return ragdoll;
+    }
+    
+    /**
+     * Remove a ragdoll, its joints and any mesh links of its parts
+     * @param {object} ragdoll - Ragdoll returned by createRagdoll
+     */
+    removeRagdoll(ragdoll) {
+        ragdoll.constraints.forEach(constraint => this.world.removeConstraint(constraint));
+        
+        ragdoll.bodies.forEach(body => {
+            const objectIndex = this.objects.findIndex(obj => obj.body === body);
+            if (objectIndex !== -1) {
+                this.objects.splice(objectIndex, 1);
+            }
+            
+            this.removeBody(body);
+        });
+    }
+    
+    /**
+     * Create a trigger volume that reports bodies entering and leaving it without blocking them
+     * Handlers receive { trigger, body, entity }
+     * @param {object} options - Options for the trigger
+     * @param {string} options.shape - 'box' (width, height, depth), 'sphere' (radius) or 'cylinder' (radius, height)
+     * @param {THREE.Vector3|CANNON.Vec3} options.position - Center of the volume
+     * @param {Function} options.onEnter - Called when a body enters
+     * @param {Function} options.onExit - Called when a body leaves
+     * @param {Function} options.filter - Return false for bodies that should be ignored
+     * @param {number} options.mask - Collision groups that set it off (defaults to characters and vehicles)
+     * @returns {object} - The trigger
+     */
+    createTrigger(options) {
+        const {
+            shape = 'box',
+            width = 1,
+            height = 1,
+            depth = 1,
+            radius = 1,
+            position,
+            onEnter = null,
+            onExit = null,
+            filter = null,
+            userData
+        } = options;
+        
+        let triggerShape;
+        switch (shape) {
+            case 'sphere':
+                triggerShape = new CANNON.Sphere(radius);
+                break;
+            case 'cylinder':
+                triggerShape = new CANNON.Cylinder(radius, radius, height, 12);
+                break;
+            case 'box':
+                triggerShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
+                break;
+            default:
+                console.warn(`Unknown trigger shape: ${shape}`);
+                return null;
+        }
+        
+        // Sensor body: contacts are detected but never solved
+        const body = new CANNON.Body({
+            mass: 0,
+            type: CANNON.Body.STATIC,
+            shape: triggerShape,
+            collisionResponse: false
+        });
+        
+        if (position) {
+            body.position.set(position.x, position.y, position.z);
+            body.aabbNeedsUpdate = true;
+        }
+        
+        this.setCollisionFilter(body, options, Physics.GROUPS.TRIGGER);
+        this.world.addBody(body);
+        
+        const trigger = {
+            body,
+            shape,
+            inside: new Set(), // Bodies currently in the volume
+            onEnter,
+            onExit,
+            filter,
+            enabled: true,
+            userData: userData || {}
+        };
+        this.registerEntity(body, { type: 'trigger', entity: trigger });
+        
+        this.on('collisionStart', body, (event) => this.enterTrigger(trigger, event.other));
+        this.on('collisionEnd', body, (event) => this.exitTrigger(trigger, event.other));
+        
+        this.triggers.push(trigger);
+        
+        return trigger;
+    }
+    
+    /**
+     * Remove a trigger volume
+     * @param {object} trigger - Trigger returned by createTrigger
+     */
+    removeTrigger(trigger) {
+        const index = this.triggers.indexOf(trigger);
+        if (index === -1) return;
+        
+        this.triggers.splice(index, 1);
+        trigger.inside.clear();
+        this.removeBody(trigger.body);
+    }
+    
+    /**
+     * Handle a body touching a trigger
+     * @param {object} trigger - The trigger
+     * @param {CANNON.Body} body - The body that touched it
+     */
+    enterTrigger(trigger, body) {
+        if (!trigger.enabled || trigger.inside.has(body)) return;
+        if (trigger.filter && !trigger.filter(body)) return;
+        
+        trigger.inside.add(body);
+        
+        if (trigger.onEnter) {
+            trigger.onEnter({ trigger, body, entity: this.getEntity(body) });
+        }
+    }
+    
+    /**
+     * Handle a body no longer touching a trigger
+     * @param {object} trigger - The trigger
+     * @param {CANNON.Body} body - The body that left
+     */
+    exitTrigger(trigger, body) {
+        if (!trigger.inside.delete(body)) return;
+        
+        if (trigger.onExit) {
+            trigger.onExit({ trigger, body, entity: this.getEntity(body) });
+        }
+    }
+    
+    /**
+     * Put a body on a collision layer
+     * Bodies collide only when each one's group is in the other's mask
+     * @param {CANNON.Body} body - The body to set up
+     * @param {object} options - Creation options, optionally with group and mask (see Physics.GROUPS)
+     * @param {number} defaultGroup - Group used when the options don't specify one
+     */
+    setCollisionFilter(body, options, defaultGroup) {
+        const group = options.group !== undefined ? options.group : defaultGroup;
+        const mask = options.mask !== undefined ? options.mask : Physics.getDefaultMask(group);
+        
+        body.collisionFilterGroup = group;
+        body.collisionFilterMask = mask;
+    }
+    
+    /**
+     * Get the layers a group collides with by default
+     * @param {number} group - Collision group (see Physics.GROUPS)
+     * @returns {number} - Collision mask
+     */
+    static getDefaultMask(group) {
+        return Physics.DEFAULT_MASKS[group] !== undefined ? Physics.DEFAULT_MASKS[group] : Physics.GROUPS.ALL;
+    }
+    
+    /**
+     * Register what a body belongs to, merging with anything already registered for it
+     * The record is also the body's userData, so it survives linking the body to a mesh
+     * @param {CANNON.Body} body - The physics body
+     * @param {object} data - Metadata: type ('vehicle', 'player', 'building'...), entity (the game object),
+     * id (defaults to type and body id), mesh, plus any type-specific fields
+     * @returns {object} - The entity record
+     */
+    registerEntity(body, data = {}) {
+        let record = this.bodyEntities.get(body.id);
+        
+        if (!record) {
+            record = { id: null, type: null, entity: null, body, mesh: null };
+            this.bodyEntities.set(body.id, record);
+        }
+        
+        // Drop the old lookups if the id or mesh change
+        if (data.id !== undefined && data.id !== record.id) this.entityIds.delete(record.id);
+        if (data.mesh !== undefined && data.mesh !== record.mesh) this.meshEntities.delete(record.mesh);
+        
+        Object.assign(record, data, { body });
+        
+        if (record.id === null) {
+            record.id = `${record.type || 'body'}_${body.id}`;
+        }
+        
+        this.entityIds.set(record.id, record);
+        if (record.mesh) {
+            this.meshEntities.set(record.mesh, record);
+        }
+        
+        body.userData = record;
+        
+        return record;
+    }
+    
+    /**
+     * Forget what a body belongs to
+     * @param {CANNON.Body} body - The physics body
+     */
+    unregisterEntity(body) {
+        const record = this.bodyEntities.get(body.id);
+        if (!record) return;
+        
+        this.bodyEntities.delete(body.id);
+        this.entityIds.delete(record.id);
+        if (record.mesh) {
+            this.meshEntities.delete(record.mesh);
+        }
+    }
+    
+    /**
+     * Get what a body belongs to
+     * @param {CANNON.Body} body - The physics body (e.g. from a ray test or collision)
+     * @returns {object|null} - Entity record ({ id, type, entity, body, mesh, ... }), or null
+     */
+    getEntity(body) {
+        if (!body) return null;
+        
+        return this.bodyEntities.get(body.id) || null;
+    }
+    
+    /**
+     * Get the entity a mesh (or any of its ancestors) is linked to
+     * @param {THREE.Object3D} mesh - The mesh
+     * @returns {object|null} - Entity record, or null
+     */
+    getEntityByMesh(mesh) {
+        for (let object = mesh; object; object = object.parent) {
+            const record = this.meshEntities.get(object);
+            if (record) return record;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get an entity by its id
+     * @param {string} id - Entity id
+     * @returns {object|null} - Entity record, or null
+     */
+    getEntityById(id) {
+        return this.entityIds.get(id) || null;
+    }
+    
     /**
      * Add an object to the physics system and link it to a Three.js mesh
      * @param {THREE.Object3D} mesh - The Three.js mesh
      * @param {CANNON.Body} body - The cannon.js physics body
      */
     addObject(mesh, body) {
-        // Set the user data on the body to reference the mesh
-        body.userData = { mesh };
+        // Link the mesh without losing what the body was registered as
+        this.registerEntity(body, { mesh });
+        
         // Add to the list of objects to update
         this.objects.push({ mesh, body });
     }
@@ -399,122 +1131,249 @@ export class Physics {
         const index = this.objects.findIndex(obj => obj.mesh === mesh);
         if (index !== -1) {
             const { body } = this.objects[index];
-            this.world.removeBody(body);
+            this.removeBody(body);
             this.objects.splice(index, 1);
         }
     }
     
     /**
-     * Enable debug mode to visualize physics bodies
+     * Remove a body from the physics world
+     * @param {CANNON.Body} body - The body to remove
+     */
+    removeBody(body) {
+        this.world.removeBody(body);
+        this.removeCollisionListeners(body);
+        this.gravityScales.delete(body);
+        this.wheelRayIgnored.delete(body);
+        this.floatingBodies.delete(body);
+        
+        // Bodies that disappear inside a trigger have left it
+        this.triggers.forEach(trigger => this.exitTrigger(trigger, body));
+        
+        this.unregisterEntity(body);
+    }
+    
+    /**
+     * Enable debug mode to visualize physics bodies, contacts and ray tests
      * @param {THREE.Scene} scene - The scene to add debug objects to
      */
     enableDebug(scene) {
+        if (!this.debugRenderer) {
+            this.debugRenderer = new PhysicsDebugRenderer(scene, this.world);
+        }
+        
+        this.debugRenderer.enable();
         this.debugMode = true;
-        this.debugScene = scene;
+    }
+    
+    /**
+     * Disable debug mode and remove the debug objects
+     */
+    disableDebug() {
+        if (this.debugRenderer) {
+            this.debugRenderer.disable();
+        }
         
-        // Create debug meshes for all existing bodies
-        this.world.bodies.forEach(body => {
-            this.createDebugMesh(body);
+        this.debugMode = false;
+    }
+    
+    /**
+     * Advance the physics world in fixed steps and move meshes to the interpolated body transforms
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update(deltaTime) {
+        // Clamp long frames (tab switches, breakpoints) so the simulation doesn't try to catch up
+        this.accumulator += Math.min(deltaTime, this.fixedTimeStep * this.maxSubSteps);
+        
+        // Step the world in fixed increments
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+            this.step();
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        
+        // Drop whatever is left over after hitting the step limit
+        if (this.accumulator >= this.fixedTimeStep) {
+            this.accumulator %= this.fixedTimeStep;
+        }
+        
+        // How far the render time is between the previous and current physics state
+        this.interpolationAlpha = this.accumulator / this.fixedTimeStep;
+        this.syncTransforms(deltaTime);
+    }
+    
+    /**
+     * Advance exactly a number of fixed steps, independent of frame time
+     * Used by the deterministic mode and tests: the same calls always give the same body positions
+     * Meshes are moved to the current physics state rather than an interpolated one
+     * @param {number} steps - Number of fixed steps to take
+     */
+    tick(steps = 1) {
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+        
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
+        this.syncTransforms(steps * this.fixedTimeStep);
+    }
+    
+    /**
+     * Advance the world by one fixed step and dispatch the collision events it produced
+     * Vehicles are updated by the world's preStep event, so exactly once per step
+     */
+    step() {
+        this.applyGravityScales();
+        this.applyBuoyancy();
+        this.world.step(this.fixedTimeStep);
+        this.updateWheelGrip();
+        this.dispatchCollisionEvents();
+    }
+    
+    /**
+     * Scale how strongly gravity pulls a body
+     * @param {CANNON.Body} body - The body
+     * @param {number} scale - Gravity multiplier (0 = no drop, 1 = normal)
+     */
+    setGravityScale(body, scale) {
+        if (scale === 1) {
+            this.gravityScales.delete(body);
+        } else {
+            this.gravityScales.set(body, scale);
+        }
+    }
+    
+    /**
+     * Add the force that makes up the difference between world gravity and each body's scaled gravity
+     * Forces are cleared after every step, so this runs before each one
+     */
+    applyGravityScales() {
+        const gravity = this.world.gravity;
+        
+        this.gravityScales.forEach((scale, body) => {
+            body.force.addScaledVector(body.mass * (scale - 1), gravity, body.force);
         });
     }
     
     /**
-     * Create a debug mesh for a physics body
-     * @param {CANNON.Body} body - The physics body
+     * Add a box of water: anything inside it below the surface and above the bed is in the water
+     * @param {object} volume - Water volume
+     * @param {string} volume.type - What kind of water it is ('sea', 'canal')
+     * @param {number} volume.minX - Western edge
+     * @param {number} volume.maxX - Eastern edge
+     * @param {number} volume.minZ - Northern edge
+     * @param {number} volume.maxZ - Southern edge
+     * @param {number} volume.level - Height of the water surface
+     * @param {number} volume.bottom - Height of the bed (default: bottomless)
+     * @returns {object} - The added volume
      */
-    createDebugMesh(body) {
-        if (!this.debugMode || !this.debugScene) return;
+    addWaterVolume(volume) {
+        const waterVolume = { bottom: -Infinity, ...volume };
+        this.waterVolumes.push(waterVolume);
         
-        const meshGroup = new THREE.Group();
-        this.debugScene.add(meshGroup);
+        return waterVolume;
+    }
+    
+    /**
+     * Find the water at a point
+     * @param {CANNON.Vec3|THREE.Vector3} position - The point
+     * @returns {object|null} - { volume, level, depth } where depth is how far the point is below the
+     * surface (negative above it), or null when the point isn't in or over water
+     */
+    getWaterAt(position) {
+        const volume = this.waterVolumes.find(water =>
+            position.x >= water.minX && position.x <= water.maxX &&
+            position.z >= water.minZ && position.z <= water.maxZ &&
+            position.y >= water.bottom
+        );
         
-        const material = new THREE.MeshBasicMaterial({ 
-            color: 0x00ff00, 
-            wireframe: true,
-            transparent: true,
-            opacity: 0.5
+        if (!volume) return null;
+        
+        return { volume, level: volume.level, depth: volume.level - position.y };
+    }
+    
+    /**
+     * Make a body float in water volumes (characters, vehicles, boats)
+     * Its volume is split between buoyancy points; each point lifts with the weight of the water its share
+     * displaces, in proportion to how far under the surface it is, so bodies settle level and right themselves
+     * @param {CANNON.Body} body - The body
+     * @param {object|null} options - Buoyancy options, or null to stop the body floating
+     * @param {number} options.volume - Water displaced when fully under, in m³ (more than mass / 1000 floats)
+     * @param {number} options.height - Height of the body, over which it goes from dry to fully under
+     * @param {Array<object>} options.points - Buoyancy points {x, y, z} in the body's frame (default: its center)
+     * @param {number} options.drag - Share of its velocity a fully sunk body loses per second
+     * @param {number} options.angularDrag - Share of its spin a fully sunk body loses per second
+     */
+    setBuoyancy(body, options) {
+        if (!options) {
+            this.floatingBodies.delete(body);
+            return;
+        }
+        
+        const points = options.points || [{ x: 0, y: 0, z: 0 }];
+        
+        this.floatingBodies.set(body, {
+            volume: options.volume,
+            height: options.height || 1,
+            points: points.map(point => new CANNON.Vec3(point.x, point.y, point.z)),
+            drag: options.drag !== undefined ? options.drag : 0.5,
+            angularDrag: options.angularDrag !== undefined ? options.angularDrag : 0.5
         });
+    }
+    
+    /**
+     * Push floating bodies up out of the water and slow them down in it
+     * Forces are cleared after every step, so this runs before each one
+     */
+    applyBuoyancy() {
+        const gravity = -this.world.gravity.y;
         
-        // Create a mesh for each shape in the body
-        body.shapes.forEach((shape, i) => {
-            let mesh;
+        this.floatingBodies.forEach((buoyancy, body) => {
+            const pointVolume = buoyancy.volume / buoyancy.points.length;
+            let submerged = 0;
             
-            if (shape instanceof CANNON.Box) {
-                const geometry = new THREE.BoxGeometry(
-                    shape.halfExtents.x * 2,
-                    shape.halfExtents.y * 2,
-                    shape.halfExtents.z * 2
-                );
-                mesh = new THREE.Mesh(geometry, material);
-            } else if (shape instanceof CANNON.Sphere) {
-                const geometry = new THREE.SphereGeometry(shape.radius, 16, 16);
-                mesh = new THREE.Mesh(geometry, material);
-            } else if (shape instanceof CANNON.Cylinder) {
-                const geometry = new THREE.CylinderGeometry(
-                    shape.radiusTop,
-                    shape.radiusBottom,
-                    shape.height,
-                    shape.numSegments
-                );
-                mesh = new THREE.Mesh(geometry, material);
+            buoyancy.points.forEach(localPoint => {
+                const point = body.pointToWorldFrame(localPoint);
+                const water = this.getWaterAt(point);
+                if (!water) return;
                 
-                // Rotate to match cannon.js cylinder orientation
-                mesh.rotation.x = Math.PI / 2;
-            } else {
-                // Fallback for other shapes - use a small sphere
-                const geometry = new THREE.SphereGeometry(0.1, 8, 8);
-                mesh = new THREE.Mesh(geometry, material);
-            }
-            
-            // Get position and orientation of the shape within the body
-            if (body.shapeOffsets[i]) {
-                mesh.position.copy(body.shapeOffsets[i]);
-            }
+                // Share of the slice around this point that's under water
+                const under = Math.min(1, Math.max(0, water.depth / buoyancy.height + 0.5));
+                if (under === 0) return;
+                
+                const lift = new CANNON.Vec3(0, WATER_DENSITY * gravity * pointVolume * under, 0);
+                body.applyForce(lift, point.vsub(body.position));
+                submerged += under / buoyancy.points.length;
+            });
             
-            if (body.shapeOrientations[i]) {
-                mesh.quaternion.copy(body.shapeOrientations[i]);
-            }
+            if (submerged === 0) return;
             
-            meshGroup.add(mesh);
-        });
-        
-        // Store reference to debug mesh for updates
-        this.debugObjects.push({
-            body,
-            meshGroup
+            // Water drag, stronger the deeper the body is
+            const dt = this.fixedTimeStep;
+            body.velocity.scale(Math.max(0, 1 - buoyancy.drag * submerged * dt), body.velocity);
+            body.angularVelocity.scale(Math.max(0, 1 - buoyancy.angularDrag * submerged * dt), body.angularVelocity);
         });
-        
-        return meshGroup;
     }
     
     /**
-     * Update the physics world and synchronize objects
-     * @param {number} deltaTime - Time step in seconds
+     * Move meshes, wheel bodies and debug objects to the bodies' transforms at the current interpolation alpha
+     * @param {number} deltaTime - Frame time in seconds (for the debug view)
      */
-    update(deltaTime) {
-        // Fixed time step for physics
-        const timeStep = 1 / 60;
-        
-        // Update physics world
-        this.world.step(timeStep, deltaTime, 3);
+    syncTransforms(deltaTime) {
+        this.interpolateBodies(this.interpolationAlpha);
         
         // Update regular objects
         this.objects.forEach(obj => {
             const { mesh, body } = obj;
             
-            // Update position
-            mesh.position.copy(body.position);
-            
-            // Update rotation
-            mesh.quaternion.copy(body.quaternion);
+            mesh.position.copy(body.interpolatedPosition);
+            mesh.quaternion.copy(body.interpolatedQuaternion);
         });
         
         // Update vehicles
         this.vehicles.forEach(vehicleObj => {
-            const { vehicle, chassisBody, wheelBodies, wheels } = vehicleObj;
-            
-            // Update wheel positions
-            vehicle.updateVehicle(timeStep);
+            const { vehicle, wheelBodies, wheels } = vehicleObj;
             
             // Update wheel bodies if they exist
             if (wheelBodies && wheelBodies.length === wheels.length) {
@@ -534,18 +1393,187 @@ export class Physics {
         
         // Update debug objects
         if (this.debugMode) {
-            this.debugObjects.forEach(obj => {
-                const { body, meshGroup } = obj;
-                
-                // Update position
-                meshGroup.position.copy(body.position);
+            this.debugRenderer.update(deltaTime);
+        }
+    }
+    
+    /**
+     * Blend every body's transform between its previous and current physics state
+     * @param {number} alpha - 0 for the previous state, 1 for the current one
+     */
+    interpolateBodies(alpha) {
+        this.world.bodies.forEach(body => {
+            body.previousPosition.lerp(body.position, alpha, body.interpolatedPosition);
+            body.previousQuaternion.slerp(body.quaternion, alpha, body.interpolatedQuaternion);
+            body.interpolatedQuaternion.normalize();
+        });
+    }
+    
+    /**
+     * Move a body instantly, without interpolating from where it was
+     * @param {CANNON.Body} body - The body to move
+     * @param {THREE.Vector3|CANNON.Vec3} position - New position
+     * @param {THREE.Quaternion|CANNON.Quaternion} quaternion - New rotation (optional)
+     */
+    teleport(body, position, quaternion = null) {
+        body.position.set(position.x, position.y, position.z);
+        
+        if (quaternion) {
+            body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        }
+        
+        this.resetInterpolation(body);
+        body.aabbNeedsUpdate = true;
+    }
+    
+    /**
+     * Make a body's previous and interpolated state match its current one
+     * @param {CANNON.Body} body - The body to reset
+     */
+    resetInterpolation(body) {
+        body.previousPosition.copy(body.position);
+        body.interpolatedPosition.copy(body.position);
+        body.previousQuaternion.copy(body.quaternion);
+        body.interpolatedQuaternion.copy(body.quaternion);
+    }
+    
+    /**
+     * Capture the state of every registered moving body (static bodies never change, so they're left out)
+     * The snapshot only holds plain numbers, so it can be stored as JSON (e.g. in a save game)
+     * @returns {object} - Snapshot { version, accumulator, bodies } with body states keyed by entity id
+     */
+    snapshot() {
+        const bodies = {};
+        
+        this.entityIds.forEach((record, id) => {
+            if (record.body.type === CANNON.Body.STATIC) return;
+            bodies[id] = this.getBodyState(record.body);
+        });
+        
+        return { version: 1, accumulator: this.accumulator, bodies };
+    }
+    
+    /**
+     * Put registered bodies back the way they were in a snapshot
+     * Bodies that no longer exist are skipped, bodies created since are left alone
+     * @param {object} snapshot - Snapshot from snapshot()
+     */
+    restore(snapshot) {
+        if (!snapshot || !snapshot.bodies) return;
+        
+        // Time carried over to the next step, so stepping continues in the same rhythm
+        if (snapshot.accumulator !== undefined) {
+            this.accumulator = snapshot.accumulator;
+        }
+        
+        Object.entries(snapshot.bodies).forEach(([id, state]) => {
+            const record = this.getEntityById(id);
+            if (record) {
+                this.setBodyState(record.body, state);
+            }
+        });
+    }
+    
+    /**
+     * Get the state of a body as plain data
+     * @param {CANNON.Body} body - The physics body
+     * @returns {object} - Position, rotation, velocities, sleep state and (for vehicles) wheel state
+     */
+    getBodyState(body) {
+        const state = {
+            position: body.position.toArray(),
+            quaternion: body.quaternion.toArray(),
+            velocity: body.velocity.toArray(),
+            angularVelocity: body.angularVelocity.toArray(),
+            sleepState: body.sleepState
+        };
+        
+        const vehicleObj = this.vehicles.find(vehicleObj => vehicleObj.chassisBody === body);
+        if (vehicleObj) {
+            state.wheels = vehicleObj.wheels.map(wheel => {
+                const wheelState = {};
+                WHEEL_STATE_KEYS.forEach(key => {
+                    wheelState[key] = wheel[key];
+                });
+                return wheelState;
+            });
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Set the state of a body from getBodyState data
+     * The body jumps straight there, without interpolating from where it was
+     * @param {CANNON.Body} body - The physics body
+     * @param {object} state - Body state
+     */
+    setBodyState(body, state) {
+        body.position.set(...state.position);
+        body.quaternion.set(...state.quaternion);
+        body.velocity.set(...state.velocity);
+        body.angularVelocity.set(...state.angularVelocity);
+        body.force.setZero();
+        body.torque.setZero();
+        body.aabbNeedsUpdate = true;
+        body.updateInertiaWorld(); // The solver uses the world inertia of the last step's rotation
+        this.resetInterpolation(body);
+        
+        // Sleeping also zeroes the velocities, which a sleeping body had anyway
+        if (state.sleepState === CANNON.Body.SLEEPING) {
+            body.sleep();
+        } else {
+            body.wakeUp();
+        }
+        
+        const vehicleObj = this.vehicles.find(vehicleObj => vehicleObj.chassisBody === body);
+        if (vehicleObj && state.wheels) {
+            state.wheels.forEach((wheelState, i) => {
+                const wheel = vehicleObj.wheels[i];
+                if (!wheel) return;
                 
-                // Update rotation
-                meshGroup.quaternion.copy(body.quaternion);
+                WHEEL_STATE_KEYS.forEach(key => {
+                    if (wheelState[key] !== undefined) {
+                        wheel[key] = wheelState[key];
+                    }
+                });
+                vehicleObj.vehicle.updateWheelTransform(i);
             });
         }
     }
     
+    /**
+     * Scale how well vehicles grip the ground (e.g. lower in the rain)
+     * Raycast vehicle wheels use their own friction slip rather than the contact material,
+     * so both are scaled
+     * @param {number} grip - Grip multiplier (1 = dry)
+     */
+    setVehicleGrip(grip) {
+        this.vehicleGrip = grip;
+        this.vehicleGroundContactMaterial.friction = this.vehicleGroundFriction * grip;
+        
+        this.tyreContactMaterials.forEach(contactMaterial => {
+            contactMaterial.friction = contactMaterial.baseFriction * grip;
+        });
+        
+        this.updateWheelGrip();
+    }
+    
+    /**
+     * Scale the friction slip of every wheel by the weather and the surface under it
+     * Also stores the surface on the wheel (wheel.surface) for tyre sounds
+     */
+    updateWheelGrip() {
+        this.vehicles.forEach(({ wheels }) => {
+            wheels.forEach(wheel => {
+                wheel.surface = wheel.isInContact ? this.getBodySurface(wheel.raycastResult.body) : null;
+                
+                const surfaceGrip = wheel.surface ? Physics.SURFACES[wheel.surface].grip : 1;
+                wheel.frictionSlip = wheel.baseFrictionSlip * this.vehicleGrip * surfaceGrip;
+            });
+        });
+    }
+    
     /**
      * Apply a force to a body at a specific point
      * @param {CANNON.Body} body - The body to apply force to
@@ -566,6 +1594,96 @@ export class Physics {
         body.applyImpulse(impulse, point);
     }
     
+    /**
+     * Set off an explosion: moving bodies are pushed away and entities are damaged, both less with distance
+     * Entities take the damage through onExplosion(hit, explosion) if they have it, otherwise takeDamage(damage).
+     * Explosions set off by the damage (e.g. a vehicle blowing up) go off once this one has finished
+     * @param {THREE.Vector3|CANNON.Vec3} position - Centre of the blast
+     * @param {object} options - Explosion options
+     * @param {number} options.radius - Distance at which the blast fades out
+     * @param {number} options.force - Impulse in N·s given to a body at the centre
+     * @param {number} options.damage - Damage dealt at the centre
+     * @param {object} options.source - What set it off (e.g. the player or the vehicle that blew up)
+     * @returns {object} - Explosion { position, radius, force, damage, source, hits }; hits ({ body, record, distance,
+     * impulse, damage } per body in range) are filled in when it goes off
+     */
+    explode(position, options = {}) {
+        const explosion = {
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            radius: options.radius || 8,
+            force: options.force !== undefined ? options.force : 15000,
+            damage: options.damage !== undefined ? options.damage : 100,
+            source: options.source || null,
+            hits: []
+        };
+        
+        this.pendingExplosions.push(explosion);
+        if (this.exploding) return explosion;
+        
+        this.exploding = true;
+        while (this.pendingExplosions.length > 0) {
+            this.detonate(this.pendingExplosions.shift());
+        }
+        this.exploding = false;
+        
+        return explosion;
+    }
+    
+    /**
+     * Apply the blast of an explosion to every registered body in range and tell the listeners
+     * @param {object} explosion - Explosion from explode
+     */
+    detonate(explosion) {
+        const { position, radius, force, damage } = explosion;
+        
+        // Copied because damage can destroy entities and remove their bodies
+        [...this.bodyEntities.values()].forEach(record => {
+            const { body, entity } = record;
+            const offset = body.position.vsub(position);
+            const distance = offset.length();
+            if (distance > radius) return;
+            
+            const falloff = 1 - distance / radius;
+            const hit = { body, record, distance, impulse: null, damage: damage * falloff };
+            
+            if (body.type === CANNON.Body.DYNAMIC && force > 0) {
+                // Away from the centre and a little upwards, so things are thrown rather than slid along the ground
+                const direction = distance > 0.001 ? offset.scale(1 / distance) : new CANNON.Vec3(0, 1, 0);
+                direction.y += 0.5;
+                direction.normalize();
+                
+                // Light bodies (ragdoll limbs, debris) are thrown hard but not launched out of the world
+                const maxImpulse = body.mass > 0 ? body.mass * Physics.MAX_BLAST_SPEED : Infinity;
+                hit.impulse = direction.scale(Math.min(force * falloff, maxImpulse));
+                this.applyImpulse(body, hit.impulse);
+            }
+            
+            if (entity && hit.damage > 0) {
+                if (typeof entity.onExplosion === 'function') {
+                    entity.onExplosion(hit, explosion);
+                } else if (typeof entity.takeDamage === 'function') {
+                    entity.takeDamage(hit.damage);
+                }
+            }
+            
+            explosion.hits.push(hit);
+        });
+        
+        // Copy so listeners can unsubscribe while being called
+        [...this.explosionListeners].forEach(listener => listener(explosion));
+    }
+    
+    /**
+     * Register a callback for explosions (e.g. to show a fireball and play a sound)
+     * @param {Function} callback - Called with the explosion once it has gone off (see explode)
+     * @returns {Function} - Call to unsubscribe
+     */
+    onExplosion(callback) {
+        this.explosionListeners.add(callback);
+        
+        return () => this.explosionListeners.delete(callback);
+    }
+    
     /**
      * Set the velocity of a body
      * @param {CANNON.Body} body - The body to set velocity for
@@ -579,35 +1697,234 @@ export class Physics {
      * Perform a ray test from a point in a specific direction
      * @param {CANNON.Vec3} from - Starting point
      * @param {CANNON.Vec3} to - End point
-     * @returns {object} - Ray test result
+     * @param {object} options - Ray options
+     * @param {number} options.mask - Collision groups the ray can hit (see Physics.GROUPS)
+     * @param {Array<CANNON.Body>} options.ignore - Bodies the ray passes through (e.g. the shooter)
+     * @returns {object} - Ray test result for the closest hit
      */
-    rayTest(from, to) {
+    rayTest(from, to, options = {}) {
+        const { mask = Physics.GROUPS.ALL, ignore = [] } = options;
         const result = new CANNON.RaycastResult();
-        this.world.rayTest(from, to, result);
+        
+        // Collect every hit so ignored bodies don't hide what's behind them, and keep the closest
+        this.world.raycastAll(from, to, { collisionFilterMask: mask, skipBackfaces: true }, (hit) => {
+            if (ignore.includes(hit.body)) return;
+            
+            if (!result.hasHit || hit.distance < result.distance) {
+                result.set(hit.rayFromWorld, hit.rayToWorld, hit.hitNormalWorld, hit.hitPointWorld, hit.shape, hit.body, hit.distance);
+                result.hitFaceIndex = hit.hitFaceIndex;
+                result.hasHit = true;
+            }
+        });
+        
+        if (this.debugMode) {
+            this.debugRenderer.addRay(from, to, result);
+        }
+        
         return result;
     }
     
     /**
-     * Check if a character can step up onto a surface
+     * Ray test that resolves with the result, for code that should also work with the physics worker
+     * @param {CANNON.Vec3} from - Starting point
+     * @param {CANNON.Vec3} to - End point
+     * @param {object} options - Ray options (see rayTest)
+     * @returns {Promise<object>} - Ray test result for the closest hit
+     */
+    rayTestAsync(from, to, options = {}) {
+        return Promise.resolve(this.rayTest(from, to, options));
+    }
+    
+    /**
+     * Find the ground under a character
+     * Cannon has no shape casts, so rays down from the center and four points around the edge of the
+     * capsule's base stand in for one; the highest ground any of them finds wins
+     * @param {CANNON.Body} characterBody - The character's physics body (see createCharacter)
+     * @param {number} maxDistance - How far below the feet to look
+     * @returns {object} - Ground { hasHit, distance, point, normal, body }; distance is measured down from
+     * the feet (negative when the ground is above them, e.g. on a slope)
+     */
+    groundCast(characterBody, maxDistance = 0.5) {
+        const results = this.getGroundRays(characterBody, maxDistance).map(([from, to]) =>
+            this.rayTest(from, to, { mask: Physics.WALKABLE_GROUPS, ignore: [characterBody] })
+        );
+        
+        return this.pickGround(characterBody, results);
+    }
+    
+    /**
+     * Get the rays of a ground cast
      * @param {CANNON.Body} characterBody - The character's physics body
-     * @param {CANNON.Vec3} direction - Direction of movement
+     * @param {number} maxDistance - How far below the feet to look
+     * @returns {Array<Array<CANNON.Vec3>>} - [from, to] of every ray
+     */
+    getGroundRays(characterBody, maxDistance) {
+        const { height, radius } = characterBody.capsule;
+        const { x, y, z } = characterBody.position;
+        const feet = y - height / 2;
+        const edge = radius * 0.7;
+        
+        return [[0, 0], [edge, 0], [-edge, 0], [0, edge], [0, -edge]].map(([dx, dz]) => [
+            new CANNON.Vec3(x + dx, feet + radius, z + dz),
+            new CANNON.Vec3(x + dx, feet - maxDistance, z + dz)
+        ]);
+    }
+    
+    /**
+     * Turn the ray results of a ground cast into the ground under the character
+     * @param {CANNON.Body} characterBody - The character's physics body
+     * @param {Array<CANNON.RaycastResult>} results - Results of the ground rays
+     * @returns {object} - Ground (see groundCast)
+     */
+    pickGround(characterBody, results) {
+        const feet = characterBody.position.y - characterBody.capsule.height / 2;
+        const ground = { hasHit: false, distance: Infinity, point: null, normal: null, body: null };
+        
+        results.forEach(result => {
+            if (!result.hasHit) return;
+            
+            const distance = feet - result.hitPointWorld.y;
+            if (distance >= ground.distance) return;
+            
+            ground.hasHit = true;
+            ground.distance = distance;
+            ground.point = result.hitPointWorld.clone();
+            ground.normal = result.hitNormalWorld.clone();
+            ground.body = result.body;
+        });
+        
+        return ground;
+    }
+    
+    /**
+     * Check if a character walking in a direction is up against a step it can climb
+     * (something too steep to walk up, with a walkable top no higher than the character's stepHeight)
+     * @param {CANNON.Body} characterBody - The character's physics body (see createCharacter)
+     * @param {CANNON.Vec3|THREE.Vector3} direction - Direction of movement
      * @returns {boolean} - Whether the character can step up
      */
     canStepUp(characterBody, direction) {
-        // Cast ray down from slightly in front of the character
-        const start = new CANNON.Vec3().copy(characterBody.position);
-        start.y += characterBody.shapes[0].height / 2; // Adjust based on character height
+        const results = this.getStepRays(characterBody, direction).map(([from, to]) =>
+            this.rayTest(from, to, { mask: Physics.WALKABLE_GROUPS, ignore: [characterBody] })
+        );
         
-        // Add some offset in the movement direction
-        start.x += direction.x * 0.5;
-        start.z += direction.z * 0.5;
+        return this.checkStep(characterBody, results);
+    }
+    
+    /**
+     * Get the rays of a step check: one forward at ankle height, one down onto the step from above it
+     * @param {CANNON.Body} characterBody - The character's physics body
+     * @param {CANNON.Vec3|THREE.Vector3} direction - Direction of movement
+     * @returns {Array<Array<CANNON.Vec3>>} - [from, to] of the ankle ray and the top ray
+     */
+    getStepRays(characterBody, direction) {
+        const { height, radius } = characterBody.capsule;
+        const { x, y, z } = characterBody.position;
+        const feet = y - height / 2;
         
-        const end = new CANNON.Vec3().copy(start);
-        end.y -= characterBody.stepHeight * 2; // Check slightly below step height
+        const length = Math.hypot(direction.x, direction.z) || 1;
+        const reach = radius + 0.15;
+        const aheadX = x + direction.x / length * reach;
+        const aheadZ = z + direction.z / length * reach;
+        
+        return [
+            [new CANNON.Vec3(x, feet + 0.05, z), new CANNON.Vec3(aheadX, feet + 0.05, aheadZ)],
+            [new CANNON.Vec3(aheadX, feet + characterBody.stepHeight + 0.05, aheadZ), new CANNON.Vec3(aheadX, feet + 0.05, aheadZ)]
+        ];
+    }
+    
+    /**
+     * Turn the ray results of a step check into whether the character can step up
+     * @param {CANNON.Body} characterBody - The character's physics body
+     * @param {Array<CANNON.RaycastResult>} results - Results of the ankle ray and the top ray
+     * @returns {boolean} - Whether the character can step up
+     */
+    checkStep(characterBody, [ankle, top]) {
+        const minGroundNormal = Math.cos(characterBody.maxSlope * Math.PI / 180);
         
-        const result = this.rayTest(start, end);
+        // Nothing in the way, or a slope the character can simply walk up
+        if (!ankle.hasHit || ankle.hitNormalWorld.y >= minGroundNormal) return false;
         
-        // If we hit something and it's within the step height, character can step up
-        return result.hasHit && (start.y - result.hitPointWorld.y <= characterBody.stepHeight);
+        // The top ray starts inside anything taller than a step, and misses it
+        const feet = characterBody.position.y - characterBody.capsule.height / 2;
+        return top.hasHit && top.hitNormalWorld.y >= minGroundNormal &&
+            top.hitPointWorld.y - feet <= characterBody.stepHeight;
     }
 }
+
+// Collision layers (bit flags) for body groups and masks
+Physics.GROUPS = {
+    WORLD: 1,       // Ground, buildings and props
+    CHARACTER: 2,   // Player and NPCs
+    VEHICLE: 4,
+    PROJECTILE: 8,
+    TRIGGER: 16,    // Sensor volumes (checkpoints, mission markers)
+    DEBRIS: 32,     // Small loose objects that shouldn't block characters
+    ALL: -1
+};
+
+// Layers characters can stand on (ground casts and step checks)
+Physics.WALKABLE_GROUPS = Physics.GROUPS.WORLD | Physics.GROUPS.VEHICLE;
+
+// Layers each group collides with unless a mask is given
+Physics.DEFAULT_MASKS = {
+    [Physics.GROUPS.WORLD]: Physics.GROUPS.ALL,
+    [Physics.GROUPS.CHARACTER]: Physics.GROUPS.ALL & ~Physics.GROUPS.DEBRIS,
+    [Physics.GROUPS.VEHICLE]: Physics.GROUPS.ALL,
+    [Physics.GROUPS.PROJECTILE]: Physics.GROUPS.ALL & ~(Physics.GROUPS.PROJECTILE | Physics.GROUPS.TRIGGER),
+    [Physics.GROUPS.TRIGGER]: Physics.GROUPS.CHARACTER | Physics.GROUPS.VEHICLE,
+    [Physics.GROUPS.DEBRIS]: Physics.GROUPS.ALL & ~(Physics.GROUPS.CHARACTER | Physics.GROUPS.TRIGGER)
+};
+
+/**
+ * Surfaces bodies can be made of
+ * tyreFriction/footFriction: contact friction against vehicles and characters, restitution: bounce,
+ * grip: multiplier for the friction slip of raycast vehicle wheels on the surface
+ */
+Physics.SURFACES = {
+    asphalt: { tyreFriction: 0.5, footFriction: 0.6, restitution: 0.1, grip: 1 },
+    concrete: { tyreFriction: 0.5, footFriction: 0.6, restitution: 0.1, grip: 0.95 },
+    grass: { tyreFriction: 0.35, footFriction: 0.5, restitution: 0.05, grip: 0.6 },
+    sand: { tyreFriction: 0.3, footFriction: 0.45, restitution: 0, grip: 0.45 },
+    wetAsphalt: { tyreFriction: 0.3, footFriction: 0.4, restitution: 0.1, grip: 0.65 },
+    ice: { tyreFriction: 0.05, footFriction: 0.05, restitution: 0.05, grip: 0.15 }
+};
+
+/**
+ * Ragdoll layout for a 1.8m character, relative to its center (y up, facing +z)
+ * parts: shape, size (box width/height/depth or sphere radius), position and share of the total mass
+ * joints: cone-twist joints (limited swing and twist, in radians) and hinges (elbows and knees, bending about x)
+ */
+Physics.RAGDOLL = {
+    parts: {
+        pelvis: { shape: 'box', size: [0.32, 0.2, 0.2], position: [0, 0.05, 0], mass: 0.15 },
+        torso: { shape: 'box', size: [0.36, 0.4, 0.22], position: [0, 0.4, 0], mass: 0.33 },
+        head: { shape: 'sphere', size: [0.11], position: [0, 0.74, 0], mass: 0.08 },
+        upperArmLeft: { shape: 'box', size: [0.1, 0.3, 0.1], position: [0.26, 0.4, 0], mass: 0.03 },
+        lowerArmLeft: { shape: 'box', size: [0.08, 0.3, 0.08], position: [0.26, 0.1, 0], mass: 0.02 },
+        upperArmRight: { shape: 'box', size: [0.1, 0.3, 0.1], position: [-0.26, 0.4, 0], mass: 0.03 },
+        lowerArmRight: { shape: 'box', size: [0.08, 0.3, 0.08], position: [-0.26, 0.1, 0], mass: 0.02 },
+        upperLegLeft: { shape: 'box', size: [0.14, 0.4, 0.14], position: [0.1, -0.25, 0], mass: 0.1 },
+        lowerLegLeft: { shape: 'box', size: [0.12, 0.44, 0.12], position: [0.1, -0.67, 0], mass: 0.07 },
+        upperLegRight: { shape: 'box', size: [0.14, 0.4, 0.14], position: [-0.1, -0.25, 0], mass: 0.1 },
+        lowerLegRight: { shape: 'box', size: [0.12, 0.44, 0.12], position: [-0.1, -0.67, 0], mass: 0.07 }
+    },
+    joints: [
+        { parts: ['pelvis', 'torso'], pivot: [0, 0.17, 0], angle: Math.PI / 6, twistAngle: Math.PI / 6 },
+        { parts: ['torso', 'head'], pivot: [0, 0.62, 0], angle: Math.PI / 4, twistAngle: Math.PI / 4 },
+        { parts: ['torso', 'upperArmLeft'], pivot: [0.26, 0.55, 0], angle: Math.PI / 2, twistAngle: Math.PI / 4 },
+        { parts: ['upperArmLeft', 'lowerArmLeft'], pivot: [0.26, 0.25, 0], type: 'hinge' },
+        { parts: ['torso', 'upperArmRight'], pivot: [-0.26, 0.55, 0], angle: Math.PI / 2, twistAngle: Math.PI / 4 },
+        { parts: ['upperArmRight', 'lowerArmRight'], pivot: [-0.26, 0.25, 0], type: 'hinge' },
+        { parts: ['pelvis', 'upperLegLeft'], pivot: [0.1, -0.05, 0], angle: Math.PI / 4, twistAngle: Math.PI / 8 },
+        { parts: ['upperLegLeft', 'lowerLegLeft'], pivot: [0.1, -0.45, 0], type: 'hinge' },
+        { parts: ['pelvis', 'upperLegRight'], pivot: [-0.1, -0.05, 0], angle: Math.PI / 4, twistAngle: Math.PI / 8 },
+        { parts: ['upperLegRight', 'lowerLegRight'], pivot: [-0.1, -0.45, 0], type: 'hinge' }
+    ]
+};
+
+// Fastest an explosion can throw a body, in m/s
+Physics.MAX_BLAST_SPEED = 20;
+
+// Collision event types accepted by Physics.on
+Physics.COLLISION_EVENTS = ['collisionStart', 'collisionEnd', 'impact'];
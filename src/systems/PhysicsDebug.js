@@ -0,0 +1,322 @@
+import * as CANNON from 'cannon-es';
+import * as THREE from 'three';
+
+// Wireframe colors by body state
+const BODY_COLORS = {
+    dynamic: 0x00ff00,
+    sleeping: 0x3366ff,
+    static: 0x888888,
+    kinematic: 0xff9900,
+    trigger: 0xffff00
+};
+
+/**
+ * Physics debug renderer - draws wireframes of every body in the world, contact points with their
+ * normals and recent ray tests
+ * Meshes are created and removed automatically as bodies are added to and removed from the world
+ */
+export class PhysicsDebugRenderer {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw into
+     * @param {CANNON.World} world - Physics world to draw
+     * @param {object} options - Debug options
+     * @param {number} options.maxContacts - Most contact points drawn at once
+     * @param {number} options.maxRays - Most ray tests drawn at once
+     * @param {number} options.rayLifetime - Seconds a ray test stays visible
+     */
+    constructor(scene, world, options = {}) {
+        this.scene = scene;
+        this.world = world;
+        this.maxContacts = options.maxContacts || 512;
+        this.maxRays = options.maxRays || 64;
+        this.rayLifetime = options.rayLifetime || 0.5;
+        
+        // Everything is drawn under one group so it can be removed in one go
+        this.root = new THREE.Group();
+        this.root.name = 'physics-debug';
+        
+        // One shared material per body state
+        this.materials = {};
+        Object.entries(BODY_COLORS).forEach(([state, color]) => {
+            this.materials[state] = new THREE.MeshBasicMaterial({
+                color,
+                wireframe: true,
+                transparent: true,
+                opacity: 0.5
+            });
+        });
+        
+        // Debug meshes indexed by body id
+        this.bodyMeshes = new Map();
+        
+        // Recent ray tests ({ from, to, hitPoint, age })
+        this.rays = [];
+        
+        this.createContactLines();
+        this.createRayLines();
+        
+        // Track bodies added or removed while enabled
+        this.onAddBody = (event) => this.addBody(event.body);
+        this.onRemoveBody = (event) => this.removeBody(event.body);
+        
+        this.enabled = false;
+    }
+    
+    /**
+     * Start drawing the world
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        
+        this.scene.add(this.root);
+        this.world.bodies.forEach(body => this.addBody(body));
+        this.world.addEventListener('addBody', this.onAddBody);
+        this.world.addEventListener('removeBody', this.onRemoveBody);
+    }
+    
+    /**
+     * Stop drawing and free the body meshes
+     */
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        
+        this.world.removeEventListener('addBody', this.onAddBody);
+        this.world.removeEventListener('removeBody', this.onRemoveBody);
+        [...this.bodyMeshes.values()].forEach(entry => this.removeBody(entry.body));
+        this.rays = [];
+        this.scene.remove(this.root);
+    }
+    
+    /**
+     * Create the line segments used to draw contact points and normals
+     */
+    createContactLines() {
+        // Each contact is a short normal line plus a small cross at the contact point
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxContacts * 18), 3));
+        geometry.setDrawRange(0, 0);
+        
+        this.contactLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xff00ff }));
+        this.contactLines.frustumCulled = false;
+        this.root.add(this.contactLines);
+    }
+    
+    /**
+     * Create the line segments used to draw ray tests
+     */
+    createRayLines() {
+        // Each ray is a line from its start to the hit (or end) point, colored by whether it hit
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxRays * 6), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.maxRays * 6), 3));
+        geometry.setDrawRange(0, 0);
+        
+        this.rayLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.rayLines.frustumCulled = false;
+        this.root.add(this.rayLines);
+    }
+    
+    /**
+     * Create the wireframe of a body
+     * @param {CANNON.Body} body - The physics body
+     */
+    addBody(body) {
+        if (this.bodyMeshes.has(body.id)) return;
+        
+        const group = new THREE.Group();
+        const state = this.getBodyState(body);
+        
+        body.shapes.forEach((shape, i) => {
+            const mesh = new THREE.Mesh(this.createShapeGeometry(shape), this.materials[state]);
+            
+            // Position and orientation of the shape within the body
+            mesh.position.copy(body.shapeOffsets[i]);
+            mesh.quaternion.copy(body.shapeOrientations[i]);
+            
+            group.add(mesh);
+        });
+        
+        this.root.add(group);
+        this.bodyMeshes.set(body.id, { body, group, state });
+    }
+    
+    /**
+     * Remove the wireframe of a body
+     * @param {CANNON.Body} body - The physics body
+     */
+    removeBody(body) {
+        const entry = this.bodyMeshes.get(body.id);
+        if (!entry) return;
+        
+        this.root.remove(entry.group);
+        entry.group.children.forEach(mesh => mesh.geometry.dispose());
+        this.bodyMeshes.delete(body.id);
+    }
+    
+    /**
+     * Build a geometry matching a collision shape
+     * @param {CANNON.Shape} shape - The shape
+     * @returns {THREE.BufferGeometry} - The geometry
+     */
+    createShapeGeometry(shape) {
+        if (shape instanceof CANNON.Box) {
+            const { x, y, z } = shape.halfExtents;
+            return new THREE.BoxGeometry(x * 2, y * 2, z * 2);
+        }
+        
+        if (shape instanceof CANNON.Sphere) {
+            return new THREE.SphereGeometry(shape.radius, 16, 12);
+        }
+        
+        if (shape instanceof CANNON.Plane) {
+            // Planes face +z in cannon
+            return new THREE.PlaneGeometry(500, 500, 10, 10);
+        }
+        
+        if (shape instanceof CANNON.ConvexPolyhedron) {
+            // Cylinders and other convex hulls, triangulated as fans
+            const positions = [];
+            shape.faces.forEach(face => {
+                for (let i = 1; i < face.length - 1; i++) {
+                    [face[0], face[i], face[i + 1]].forEach(index => {
+                        const vertex = shape.vertices[index];
+                        positions.push(vertex.x, vertex.y, vertex.z);
+                    });
+                }
+            });
+            
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            return geometry;
+        }
+        
+        // Fallback for other shapes - a small sphere at the shape's position
+        return new THREE.SphereGeometry(0.1, 8, 8);
+    }
+    
+    /**
+     * Work out which color a body should be drawn in
+     * @param {CANNON.Body} body - The physics body
+     * @returns {string} - Key in BODY_COLORS
+     */
+    getBodyState(body) {
+        if (!body.collisionResponse) return 'trigger';
+        if (body.type === CANNON.Body.STATIC) return 'static';
+        if (body.type === CANNON.Body.KINEMATIC) return 'kinematic';
+        if (body.sleepState === CANNON.Body.SLEEPING) return 'sleeping';
+        return 'dynamic';
+    }
+    
+    /**
+     * Remember a ray test so it is drawn for a moment
+     * @param {CANNON.Vec3} from - Ray start
+     * @param {CANNON.Vec3} to - Ray end
+     * @param {CANNON.RaycastResult} result - Result of the test
+     */
+    addRay(from, to, result) {
+        if (!this.enabled) return;
+        
+        this.rays.push({
+            from: new THREE.Vector3(from.x, from.y, from.z),
+            to: new THREE.Vector3(to.x, to.y, to.z),
+            hitPoint: result.hasHit ? new THREE.Vector3().copy(result.hitPointWorld) : null,
+            age: 0
+        });
+        
+        // Drop the oldest rays when there are too many
+        if (this.rays.length > this.maxRays) {
+            this.rays.splice(0, this.rays.length - this.maxRays);
+        }
+    }
+    
+    /**
+     * Move the wireframes to their bodies and redraw contacts and rays
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.enabled) return;
+        
+        this.bodyMeshes.forEach(entry => {
+            const { body, group } = entry;
+            
+            group.position.copy(body.interpolatedPosition);
+            group.quaternion.copy(body.interpolatedQuaternion);
+            
+            // Recolor when the body falls asleep or wakes up
+            const state = this.getBodyState(body);
+            if (state !== entry.state) {
+                entry.state = state;
+                group.children.forEach(mesh => {
+                    mesh.material = this.materials[state];
+                });
+            }
+        });
+        
+        this.updateContacts();
+        this.updateRays(deltaTime);
+    }
+    
+    /**
+     * Draw the contacts from the last step
+     */
+    updateContacts() {
+        const positions = this.contactLines.geometry.attributes.position;
+        const contacts = this.world.contacts;
+        const count = Math.min(contacts.length, this.maxContacts);
+        const point = new CANNON.Vec3();
+        const cross = 0.1;
+        
+        for (let i = 0; i < count; i++) {
+            const contact = contacts[i];
+            const normal = contact.ni;
+            contact.bi.position.vadd(contact.ri, point);
+            
+            const index = i * 6;
+            
+            // Normal (points out of the first body)
+            positions.setXYZ(index, point.x, point.y, point.z);
+            positions.setXYZ(index + 1, point.x + normal.x * 0.5, point.y + normal.y * 0.5, point.z + normal.z * 0.5);
+            
+            // Cross marking the point
+            positions.setXYZ(index + 2, point.x - cross, point.y, point.z);
+            positions.setXYZ(index + 3, point.x + cross, point.y, point.z);
+            positions.setXYZ(index + 4, point.x, point.y, point.z - cross);
+            positions.setXYZ(index + 5, point.x, point.y, point.z + cross);
+        }
+        
+        this.contactLines.geometry.setDrawRange(0, count * 6);
+        positions.needsUpdate = true;
+    }
+    
+    /**
+     * Draw recent ray tests and forget old ones
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateRays(deltaTime) {
+        this.rays.forEach(ray => {
+            ray.age += deltaTime;
+        });
+        this.rays = this.rays.filter(ray => ray.age < this.rayLifetime);
+        
+        const positions = this.rayLines.geometry.attributes.position;
+        const colors = this.rayLines.geometry.attributes.color;
+        
+        this.rays.forEach((ray, i) => {
+            const end = ray.hitPoint || ray.to;
+            
+            // Red up to the hit, cyan for misses
+            const color = ray.hitPoint ? [1, 0, 0] : [0, 1, 1];
+            
+            positions.setXYZ(i * 2, ray.from.x, ray.from.y, ray.from.z);
+            positions.setXYZ(i * 2 + 1, end.x, end.y, end.z);
+            colors.setXYZ(i * 2, ...color);
+            colors.setXYZ(i * 2 + 1, ...color);
+        });
+        
+        this.rayLines.geometry.setDrawRange(0, this.rays.length * 2);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+}
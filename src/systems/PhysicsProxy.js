@@ -0,0 +1,873 @@
+import * as CANNON from 'cannon-es';
+import { Physics } from './Physics.js';
+
+// Layout of one moving body in the transform buffer
+export const TRANSFORM_LAYOUT = {
+    position: 0,
+    quaternion: 3,
+    interpolatedPosition: 7,
+    interpolatedQuaternion: 10,
+    velocity: 14,
+    angularVelocity: 17,
+    sleepState: 20,
+    wheelRotation: 21, // deltaRotation of up to 4 vehicle wheels
+    stride: 25
+};
+
+// Physics methods that only do main-thread bookkeeping and work unchanged on the proxy
+const SHARED_METHODS = [
+    'registerEntity',
+    'unregisterEntity',
+    'getEntity',
+    'getEntityByMesh',
+    'getEntityById',
+    'addObject',
+    'removeObject',
+    'onCollision',
+    'removeTrigger',
+    'enterTrigger',
+    'exitTrigger',
+    'snapshot',
+    'restore',
+    'getBodyState',
+    'explode',
+    'detonate',
+    'onExplosion',
+    'getGroundRays',
+    'pickGround',
+    'getStepRays',
+    'checkStep',
+    'getWaterAt'
+];
+
+// Wheel fields set by each forwarded RaycastVehicle method (mirrored so snapshots include them)
+const WHEEL_COMMANDS = {
+    applyEngineForce: 'engineForce',
+    setBrake: 'brake',
+    setSteeringValue: 'steering'
+};
+
+/**
+ * Main-thread stand-in for a body living in the physics worker
+ * Transforms and velocities are refreshed every frame for moving bodies; changes must go through
+ * the PhysicsProxy API (setVelocity, teleport, applyImpulse...) to reach the worker
+ */
+class ProxyBody {
+    /**
+     * @param {PhysicsProxy} physics - Owning proxy
+     * @param {number} id - Handle shared with the worker
+     * @param {number} slot - Slot in the transform buffer, or -1 for static bodies
+     */
+    constructor(physics, id, slot) {
+        this.physics = physics;
+        this.id = id;
+        this.slot = slot;
+        this.type = slot === -1 ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC;
+        this.sleepState = CANNON.Body.AWAKE;
+        this.mass = 0; // Kept for shared helpers such as detonate, which scale by it
+        this.surface = null; // Surface the body is made of (see Physics.SURFACES)
+        this.userData = null;
+        
+        this.position = new CANNON.Vec3();
+        this.quaternion = new CANNON.Quaternion();
+        this.interpolatedPosition = new CANNON.Vec3();
+        this.interpolatedQuaternion = new CANNON.Quaternion();
+        this.velocity = new CANNON.Vec3();
+        this.angularVelocity = new CANNON.Vec3();
+    }
+    
+    /**
+     * Put the body to sleep
+     */
+    sleep() {
+        this.sleepState = CANNON.Body.SLEEPING;
+        this.physics.send({ type: 'call', target: 'body', handle: this.id, method: 'sleep', args: [] });
+    }
+    
+    /**
+     * Wake the body up
+     */
+    wakeUp() {
+        this.sleepState = CANNON.Body.AWAKE;
+        this.physics.send({ type: 'call', target: 'body', handle: this.id, method: 'wakeUp', args: [] });
+    }
+}
+
+/**
+ * Main-thread stand-in for a raycast vehicle living in the physics worker
+ * maxForce, maxBrake and steeringClamp are plain settings used by the Vehicle component
+ */
+class ProxyVehicle {
+    /**
+     * @param {PhysicsProxy} physics - Owning proxy
+     * @param {ProxyBody} chassisBody - The chassis
+     * @param {number} wheelCount - Number of wheels
+     */
+    constructor(physics, chassisBody, wheelCount) {
+        this.physics = physics;
+        this.chassisBody = chassisBody;
+        this.wheelInfos = [];
+        for (let i = 0; i < wheelCount; i++) {
+            this.wheelInfos.push({ deltaRotation: 0 });
+        }
+    }
+    
+    /**
+     * Forward a wheel command to the worker
+     * @param {string} method - RaycastVehicle method
+     * @param {number} value - Force, brake or steering value
+     * @param {number} wheelIndex - Wheel index
+     */
+    call(method, value, wheelIndex) {
+        this.wheelInfos[wheelIndex][WHEEL_COMMANDS[method]] = value;
+        this.physics.send({ type: 'call', target: 'vehicle', handle: this.chassisBody.id, method, args: [value, wheelIndex] });
+    }
+    
+    applyEngineForce(value, wheelIndex) {
+        this.call('applyEngineForce', value, wheelIndex);
+    }
+    
+    setBrake(value, wheelIndex) {
+        this.call('setBrake', value, wheelIndex);
+    }
+    
+    setSteeringValue(value, wheelIndex) {
+        this.call('setSteeringValue', value, wheelIndex);
+    }
+}
+
+/**
+ * Physics proxy - runs the Physics world in a Web Worker and mirrors the Physics API on the main thread
+ * Moving bodies' transforms come back once per frame through a transferable buffer (or a shared one when
+ * the page is cross-origin isolated); collision events are forwarded and ray tests are answered
+ * asynchronously through rayTestAsync
+ */
+export class PhysicsProxy {
+    /**
+     * @param {object} options - Simulation options, passed on to Physics in the worker
+     */
+    constructor(options = {}) {
+        this.worker = new Worker(new URL('./PhysicsWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => console.error('Physics worker error:', event.message);
+        this.send({ type: 'init', options });
+        
+        // Bodies by handle, and moving bodies by transform buffer slot
+        this.nextHandle = 1;
+        this.bodies = new Map();
+        this.slots = [];
+        this.freeSlots = [];
+        
+        // Transform buffer, owned by the main thread except while the worker is stepping
+        this.shared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+        this.buffer = this.createBuffer(64);
+        this.stepping = false;
+        this.pendingDelta = 0;
+        this.pendingTicks = 0;
+        
+        // Ray tests waiting for an answer
+        this.nextRequestId = 1;
+        this.rayRequests = new Map();
+        
+        // Latest answers to ground casts and step checks, the ones still waiting for the worker and the
+        // ones asked for since the last frame
+        this.latestRayBatches = new Map();
+        this.pendingRayBatches = new Set();
+        this.askedRayBatches = new Set();
+        
+        // Same bookkeeping as Physics
+        this.objects = [];
+        this.vehicles = [];
+        this.triggers = [];
+        this.bodyEntities = new Map();
+        this.meshEntities = new Map();
+        this.entityIds = new Map();
+        this.collisionListeners = new Map();
+        this.explosionListeners = new Set();
+        this.pendingExplosions = [];
+        this.exploding = false;
+        this.vehicleGrip = 1;
+        this.waterVolumes = [];
+        this.debugMode = false;
+    }
+    
+    /**
+     * Post a message to the worker
+     * @param {object} message - The message
+     * @param {Array} transfer - Objects to transfer
+     */
+    send(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+    
+    /**
+     * Create a transform buffer
+     * @param {number} capacity - Number of moving bodies it can hold
+     * @returns {Float32Array} - The buffer
+     */
+    createBuffer(capacity) {
+        const length = capacity * TRANSFORM_LAYOUT.stride;
+        
+        if (this.shared) {
+            return new Float32Array(new SharedArrayBuffer(length * Float32Array.BYTES_PER_ELEMENT));
+        }
+        
+        return new Float32Array(length);
+    }
+    
+    /**
+     * Create a body in the worker and its stand-in here
+     * @param {string} method - Physics method to call in the worker
+     * @param {Array} args - Arguments for the method
+     * @param {object} options - Creation options (position, velocity, userData...)
+     * @param {number} mass - Mass the worker gives the body; above 0 it moves and its transform is synced
+     * @returns {ProxyBody} - The stand-in body
+     */
+    createRemoteBody(method, args, options, mass) {
+        const handle = this.nextHandle++;
+        const slot = mass > 0 ? this.allocateSlot() : -1;
+        const body = new ProxyBody(this, handle, slot);
+        body.mass = mass;
+        
+        if (options.position) {
+            body.position.set(options.position.x, options.position.y, options.position.z);
+            body.interpolatedPosition.copy(body.position);
+        }
+        
+        if (options.velocity) {
+            body.velocity.set(options.velocity.x, options.velocity.y, options.velocity.z);
+        }
+        
+        if (options.surface) {
+            body.surface = options.surface;
+        }
+        
+        this.bodies.set(handle, body);
+        if (slot !== -1) {
+            this.slots[slot] = body;
+        }
+        
+        this.send({ type: 'create', handle, slot, method, args });
+        
+        if (options.userData) {
+            this.registerEntity(body, options.userData);
+        }
+        
+        return body;
+    }
+    
+    /**
+     * Reserve a transform buffer slot
+     * @returns {number} - Slot index
+     */
+    allocateSlot() {
+        return this.freeSlots.length > 0 ? this.freeSlots.pop() : this.slots.length;
+    }
+    
+    /**
+     * Strip creation options down to what can be sent to the worker
+     * Materials, meshes, game objects and callbacks stay on the main thread
+     * @param {object} options - Creation options
+     * @returns {object} - Cloneable options
+     */
+    toWorkerOptions(options) {
+        const workerOptions = { ...options };
+        delete workerOptions.material;
+        delete workerOptions.userData;
+        delete workerOptions.onEnter;
+        delete workerOptions.onExit;
+        delete workerOptions.filter;
+        
+        ['position', 'velocity', 'chassisDimensions'].forEach(key => {
+            const vector = workerOptions[key];
+            if (vector) {
+                workerOptions[key] = { x: vector.x, y: vector.y, z: vector.z };
+            }
+        });
+        
+        return workerOptions;
+    }
+    
+    createGround(width, height, surface = null) {
+        return this.createRemoteBody('createGround', [width, height, surface], { position: { x: 0, y: -0.1, z: 0 }, surface }, 0);
+    }
+    
+    createBox(options) {
+        const { mass = 1 } = options;
+        return this.createRemoteBody('createBox', [this.toWorkerOptions(options)], options, mass);
+    }
+    
+    createSphere(options) {
+        const { mass = 1 } = options;
+        return this.createRemoteBody('createSphere', [this.toWorkerOptions(options)], options, mass);
+    }
+    
+    createCylinder(options) {
+        const { mass = 1 } = options;
+        return this.createRemoteBody('createCylinder', [this.toWorkerOptions(options)], options, mass);
+    }
+    
+    createCharacter(options) {
+        const { mass = 70 } = options;
+        const body = this.createRemoteBody('createCharacter', [this.toWorkerOptions(options)], options, mass);
+        
+        // Kept on the stand-in too, for ground casts and step checks
+        const { height = 1.8, radius = 0.3, stepHeight = 0.1, maxSlope = 45 } = options;
+        body.capsule = { height, radius };
+        body.stepHeight = stepHeight;
+        body.maxSlope = maxSlope;
+        
+        return body;
+    }
+    
+    createCompoundBody() {
+        // Shapes are cannon objects and can't be sent to the worker
+        console.warn('createCompoundBody is not available with the physics worker');
+        return null;
+    }
+    
+    createRagdoll() {
+        // Ragdoll parts would each need a body handle and their joints a way to be removed again
+        console.warn('createRagdoll is not available with the physics worker');
+        return null;
+    }
+    
+    /**
+     * Create a vehicle in the worker
+     * @param {object} options - Options for the vehicle (see Physics.createVehicle)
+     * @returns {object} - { vehicle, chassisBody, wheelBodies, wheels } with stand-ins
+     */
+    createVehicle(options) {
+        const { mass = 800 } = options;
+        const chassisBody = this.createRemoteBody('createVehicle', [this.toWorkerOptions(options)], options, mass);
+        const vehicle = new ProxyVehicle(this, chassisBody, 4);
+        
+        this.vehicles.push({ vehicle, chassisBody, wheelBodies: [], wheels: vehicle.wheelInfos });
+        
+        return {
+            vehicle,
+            chassisBody,
+            wheelBodies: [],
+            wheels: vehicle.wheelInfos
+        };
+    }
+    
+    /**
+     * Remove a vehicle
+     * @param {ProxyVehicle} vehicle - Vehicle returned by createVehicle
+     */
+    removeVehicle(vehicle) {
+        const index = this.vehicles.findIndex(vehicleObj => vehicleObj.vehicle === vehicle);
+        if (index === -1) return;
+        
+        this.vehicles.splice(index, 1);
+        
+        const objectIndex = this.objects.findIndex(obj => obj.body === vehicle.chassisBody);
+        if (objectIndex !== -1) {
+            this.objects.splice(objectIndex, 1);
+        }
+        
+        this.removeBody(vehicle.chassisBody);
+    }
+    
+    /**
+     * Create a trigger volume (see Physics.createTrigger)
+     * The sensor lives in the worker; entering and leaving are worked out here so filters and
+     * callbacks can use game objects
+     * @param {object} options - Options for the trigger
+     * @returns {object} - The trigger
+     */
+    createTrigger(options) {
+        const { shape = 'box', onEnter = null, onExit = null, filter = null, userData } = options;
+        const body = this.createRemoteBody('createTrigger', [this.toWorkerOptions(options)], options, 0);
+        
+        const trigger = {
+            body,
+            shape,
+            inside: new Set(),
+            onEnter,
+            onExit,
+            filter,
+            enabled: true,
+            userData: userData || {}
+        };
+        this.registerEntity(body, { type: 'trigger', entity: trigger });
+        
+        this.on('collisionStart', body, (event) => {
+            if (event.other) this.enterTrigger(trigger, event.other);
+        });
+        this.on('collisionEnd', body, (event) => {
+            if (event.other) this.exitTrigger(trigger, event.other);
+        });
+        
+        this.triggers.push(trigger);
+        
+        return trigger;
+    }
+    
+    /**
+     * Remove a body from the physics world
+     * @param {ProxyBody} body - The body to remove
+     */
+    removeBody(body) {
+        if (!this.bodies.has(body.id)) return;
+        
+        this.send({ type: 'remove', handle: body.id });
+        this.bodies.delete(body.id);
+        this.collisionListeners.delete(body.id);
+        
+        if (body.slot !== -1) {
+            this.slots[body.slot] = null;
+            this.freeSlots.push(body.slot);
+        }
+        
+        // Bodies that disappear inside a trigger have left it
+        this.triggers.forEach(trigger => this.exitTrigger(trigger, body));
+        
+        this.unregisterEntity(body);
+    }
+    
+    /**
+     * Subscribe to collision events of a body (see Physics.on)
+     * @param {string} type - 'collisionStart', 'collisionEnd' or 'impact'
+     * @param {ProxyBody} body - The body to listen to
+     * @param {Function} handler - Function called with the collision data
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, body, handler) {
+        if (!Physics.COLLISION_EVENTS.includes(type)) {
+            console.warn(`Unknown collision event: ${type}`);
+            return () => {};
+        }
+        
+        let listeners = this.collisionListeners.get(body.id);
+        if (!listeners) {
+            listeners = { body };
+            Physics.COLLISION_EVENTS.forEach(eventType => {
+                listeners[eventType] = new Set();
+            });
+            this.collisionListeners.set(body.id, listeners);
+        }
+        
+        // The worker only reports event types someone listens to
+        if (listeners[type].size === 0) {
+            this.send({ type: 'on', handle: body.id, event: type });
+        }
+        listeners[type].add(handler);
+        
+        return () => this.off(type, body, handler);
+    }
+    
+    /**
+     * Unsubscribe from collision events of a body
+     * @param {string} type - Event type passed to on()
+     * @param {ProxyBody} body - The body
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, body, handler) {
+        const listeners = this.collisionListeners.get(body.id);
+        if (!listeners || !listeners[type].delete(handler)) return;
+        
+        if (listeners[type].size === 0) {
+            this.send({ type: 'off', handle: body.id, event: type });
+        }
+    }
+    
+    /**
+     * Put a body on a collision layer
+     * @param {ProxyBody} body - The body to set up
+     * @param {object} options - Group and mask (see Physics.GROUPS)
+     * @param {number} defaultGroup - Group used when the options don't specify one
+     */
+    setCollisionFilter(body, options, defaultGroup) {
+        this.send({ type: 'call', target: 'physics', handle: body.id, method: 'setCollisionFilter', args: [options, defaultGroup] });
+    }
+    
+    applyForce(body, force, point) {
+        this.callWithBody('applyForce', body, [force, point]);
+    }
+    
+    applyImpulse(body, impulse, point) {
+        this.callWithBody('applyImpulse', body, [impulse, point]);
+    }
+    
+    setGravityScale(body, scale) {
+        this.callWithBody('setGravityScale', body, [scale]);
+    }
+    
+    setVelocity(body, velocity) {
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        this.callWithBody('setVelocity', body, [velocity]);
+    }
+    
+    /**
+     * Move a body instantly, without interpolating from where it was
+     * @param {ProxyBody} body - The body to move
+     * @param {THREE.Vector3|CANNON.Vec3} position - New position
+     * @param {THREE.Quaternion|CANNON.Quaternion} quaternion - New rotation (optional)
+     */
+    teleport(body, position, quaternion = null) {
+        body.position.set(position.x, position.y, position.z);
+        body.interpolatedPosition.copy(body.position);
+        
+        if (quaternion) {
+            body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            body.interpolatedQuaternion.copy(body.quaternion);
+        }
+        
+        this.callWithBody('teleport', body, [position, quaternion]);
+    }
+    
+    /**
+     * Forward a Physics method that takes a body as its first argument
+     * @param {string} method - Physics method
+     * @param {ProxyBody} body - The body
+     * @param {Array} args - Remaining arguments (vectors are sent as plain objects)
+     */
+    callWithBody(method, body, args) {
+        const plainArgs = args.map(arg => {
+            if (!arg || typeof arg !== 'object') return arg;
+            return arg.w !== undefined
+                ? { x: arg.x, y: arg.y, z: arg.z, w: arg.w }
+                : { x: arg.x, y: arg.y, z: arg.z };
+        });
+        
+        this.send({ type: 'call', target: 'physics', handle: body.id, method, args: plainArgs });
+    }
+    
+    /**
+     * Set the state of a body from getBodyState data (see Physics.setBodyState)
+     * @param {ProxyBody} body - The body
+     * @param {object} state - Body state
+     */
+    setBodyState(body, state) {
+        body.position.set(...state.position);
+        body.quaternion.set(...state.quaternion);
+        body.interpolatedPosition.copy(body.position);
+        body.interpolatedQuaternion.copy(body.quaternion);
+        body.velocity.set(...state.velocity);
+        body.angularVelocity.set(...state.angularVelocity);
+        body.sleepState = state.sleepState;
+        
+        this.send({ type: 'call', target: 'physics', handle: body.id, method: 'setBodyState', args: [state] });
+    }
+    
+    setVehicleGrip(grip) {
+        this.vehicleGrip = grip;
+        this.send({ type: 'call', target: 'physics', handle: null, method: 'setVehicleGrip', args: [grip] });
+    }
+    
+    /**
+     * Add a box of water (see Physics.addWaterVolume), kept here too so getWaterAt answers straight away
+     * @param {object} volume - Water volume
+     * @returns {object} - The added volume
+     */
+    addWaterVolume(volume) {
+        const waterVolume = Physics.prototype.addWaterVolume.call(this, volume);
+        this.send({ type: 'call', target: 'physics', handle: null, method: 'addWaterVolume', args: [waterVolume] });
+        
+        return waterVolume;
+    }
+    
+    setBuoyancy(body, options) {
+        this.send({ type: 'call', target: 'physics', handle: body.id, method: 'setBuoyancy', args: [options] });
+    }
+    
+    /**
+     * Ray tests need an answer from the worker, so they can't be synchronous - use rayTestAsync
+     * @throws {Error} - Always
+     */
+    rayTest() {
+        throw new Error('rayTest is not available with the physics worker, use rayTestAsync');
+    }
+    
+    /**
+     * Ray test answered by the worker
+     * @param {CANNON.Vec3} from - Starting point
+     * @param {CANNON.Vec3} to - End point
+     * @param {object} options - Ray options (mask, ignore)
+     * @returns {Promise<object>} - Ray test result for the closest hit
+     */
+    rayTestAsync(from, to, options = {}) {
+        const requestId = this.nextRequestId++;
+        const { mask = Physics.GROUPS.ALL, ignore = [] } = options;
+        
+        return new Promise(resolve => {
+            this.rayRequests.set(requestId, resolve);
+            this.send({
+                type: 'rayTest',
+                requestId,
+                from: { x: from.x, y: from.y, z: from.z },
+                to: { x: to.x, y: to.y, z: to.z },
+                mask,
+                ignore: ignore.map(body => body.id)
+            });
+        });
+    }
+    
+    /**
+     * Ground casts need answers from the worker: this sends the next one off and returns the last
+     * answer, so the ground is a frame old
+     * @param {ProxyBody} characterBody - The character's stand-in body
+     * @param {number} maxDistance - How far below the feet to look
+     * @returns {object} - Ground (see Physics.groundCast)
+     */
+    groundCast(characterBody, maxDistance = 0.5) {
+        const noGround = { hasHit: false, distance: Infinity, point: null, normal: null, body: null };
+        const character = this.getCharacterState(characterBody);
+        
+        return this.latestRayBatch(
+            `ground:${characterBody.id}`,
+            this.getGroundRays(character, maxDistance),
+            { mask: Physics.WALKABLE_GROUPS, ignore: [characterBody] },
+            results => this.pickGround(character, results),
+            noGround
+        );
+    }
+    
+    /**
+     * Step checks are answered a frame late, like ground casts
+     * @param {ProxyBody} characterBody - The character's stand-in body
+     * @param {CANNON.Vec3|THREE.Vector3} direction - Direction of movement
+     * @returns {boolean} - Whether the character could step up at the last check
+     */
+    canStepUp(characterBody, direction) {
+        const character = this.getCharacterState(characterBody);
+        
+        return this.latestRayBatch(
+            `step:${characterBody.id}`,
+            this.getStepRays(character, direction),
+            { mask: Physics.WALKABLE_GROUPS, ignore: [characterBody] },
+            results => this.checkStep(character, results),
+            false
+        );
+    }
+    
+    /**
+     * Copy what ground casts and step checks need to know about a character, so the answer is worked
+     * out for where the character was when the rays were cast
+     * @param {ProxyBody} characterBody - The character's stand-in body
+     * @returns {object} - { position, capsule, stepHeight, maxSlope }
+     */
+    getCharacterState(characterBody) {
+        return {
+            position: characterBody.position.clone(),
+            capsule: characterBody.capsule,
+            stepHeight: characterBody.stepHeight,
+            maxSlope: characterBody.maxSlope
+        };
+    }
+    
+    /**
+     * Send a batch of ray tests unless the previous one is still waiting, and return the last answer
+     * @param {string} key - What the batch is for
+     * @param {Array<Array<CANNON.Vec3>>} rays - [from, to] of every ray
+     * @param {object} options - Ray options (mask, ignore)
+     * @param {Function} combine - Turns the ray results into the answer
+     * @param {*} fallback - Answer until the first batch comes back
+     * @returns {*} - The last answer
+     */
+    latestRayBatch(key, rays, options, combine, fallback) {
+        this.askedRayBatches.add(key);
+        
+        if (!this.pendingRayBatches.has(key)) {
+            this.pendingRayBatches.add(key);
+            Promise.all(rays.map(([from, to]) => this.rayTestAsync(from, to, options))).then(results => {
+                this.pendingRayBatches.delete(key);
+                this.latestRayBatches.set(key, combine(results));
+            });
+        }
+        
+        return this.latestRayBatches.has(key) ? this.latestRayBatches.get(key) : fallback;
+    }
+    
+    /**
+     * Forget the answers nobody asked for since the last frame, so a character that stops checking
+     * (e.g. while in the air) doesn't get an old answer when it starts again
+     */
+    expireRayBatches() {
+        this.latestRayBatches.forEach((answer, key) => {
+            if (!this.askedRayBatches.has(key)) {
+                this.latestRayBatches.delete(key);
+            }
+        });
+        
+        this.askedRayBatches.clear();
+    }
+    
+    /**
+     * Get the surface a body is made of
+     * @param {ProxyBody} body - The body
+     * @returns {string|null} - Surface name, or null if the body has no surface
+     */
+    getBodySurface(body) {
+        return body ? body.surface : null;
+    }
+    
+    /**
+     * Surface lookups need a ray test, which the worker can't answer synchronously
+     * Vehicle wheels still get surface grip inside the worker
+     * @throws {Error} - Always
+     */
+    getSurfaceAt() {
+        throw new Error('getSurfaceAt is not available with the physics worker');
+    }
+    
+    enableDebug() {
+        console.warn('The physics debug view is not available with the physics worker');
+    }
+    
+    disableDebug() {}
+    
+    /**
+     * Ask the worker to advance the simulation
+     * Frames that arrive while the worker is still busy are added to the next step
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update(deltaTime) {
+        this.expireRayBatches();
+        
+        this.pendingDelta += deltaTime;
+        if (this.stepping) return;
+        
+        // Grow the buffer (while we own it) when there are more moving bodies than slots
+        const capacity = this.buffer.length / TRANSFORM_LAYOUT.stride;
+        if (this.slots.length > capacity) {
+            this.buffer = this.createBuffer(Math.max(this.slots.length, capacity * 2));
+        }
+        
+        this.stepping = true;
+        this.send(
+            { type: 'step', deltaTime: this.pendingDelta, ticks: this.pendingTicks, buffer: this.buffer },
+            this.shared ? [] : [this.buffer.buffer]
+        );
+        this.pendingDelta = 0;
+        this.pendingTicks = 0;
+    }
+    
+    /**
+     * Ask the worker to advance exactly a number of fixed steps (see Physics.tick)
+     * @param {number} steps - Number of fixed steps to take
+     */
+    tick(steps = 1) {
+        this.pendingTicks += steps;
+        this.update(0);
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @param {object} message - The message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'frame':
+                this.buffer = message.buffer;
+                this.stepping = false;
+                this.readTransforms();
+                this.dispatchCollisionEvents(message.events);
+                break;
+            case 'rayResult':
+                this.resolveRayTest(message);
+                break;
+            default:
+                console.warn(`Unknown physics worker message: ${message.type}`);
+        }
+    }
+    
+    /**
+     * Copy the worker's transforms into the stand-in bodies and linked meshes
+     */
+    readTransforms() {
+        const buffer = this.buffer;
+        const layout = TRANSFORM_LAYOUT;
+        
+        this.slots.forEach((body, slot) => {
+            if (!body) return;
+            
+            const offset = slot * layout.stride;
+            if (offset + layout.stride > buffer.length) return;
+            
+            body.position.set(...buffer.subarray(offset + layout.position, offset + layout.position + 3));
+            body.quaternion.set(...buffer.subarray(offset + layout.quaternion, offset + layout.quaternion + 4));
+            body.interpolatedPosition.set(...buffer.subarray(offset + layout.interpolatedPosition, offset + layout.interpolatedPosition + 3));
+            body.interpolatedQuaternion.set(...buffer.subarray(offset + layout.interpolatedQuaternion, offset + layout.interpolatedQuaternion + 4));
+            body.velocity.set(...buffer.subarray(offset + layout.velocity, offset + layout.velocity + 3));
+            body.angularVelocity.set(...buffer.subarray(offset + layout.angularVelocity, offset + layout.angularVelocity + 3));
+            body.sleepState = buffer[offset + layout.sleepState];
+        });
+        
+        // Wheel spin for the vehicle components
+        this.vehicles.forEach(({ vehicle, chassisBody }) => {
+            const offset = chassisBody.slot * layout.stride + layout.wheelRotation;
+            vehicle.wheelInfos.forEach((wheel, i) => {
+                wheel.deltaRotation = buffer[offset + i];
+            });
+        });
+        
+        this.objects.forEach(({ mesh, body }) => {
+            mesh.position.copy(body.interpolatedPosition);
+            mesh.quaternion.copy(body.interpolatedQuaternion);
+        });
+    }
+    
+    /**
+     * Dispatch collision events reported by the worker
+     * @param {Array<object>} events - Events with body handles and plain vectors
+     */
+    dispatchCollisionEvents(events) {
+        const toVec3 = (values) => (values ? new CANNON.Vec3(...values) : null);
+        
+        events.forEach(data => {
+            const listeners = this.collisionListeners.get(data.handle);
+            if (!listeners) return;
+            
+            const event = {
+                type: data.type,
+                body: listeners.body,
+                other: this.bodies.get(data.other) || null,
+                point: toVec3(data.point),
+                normal: toVec3(data.normal),
+                relativeVelocity: toVec3(data.relativeVelocity),
+                impactSpeed: data.impactSpeed
+            };
+            
+            // Copy so handlers can unsubscribe while being called
+            [...listeners[event.type]].forEach(handler => handler(event));
+        });
+    }
+    
+    /**
+     * Answer a pending ray test
+     * @param {object} message - Ray result from the worker
+     */
+    resolveRayTest(message) {
+        const resolve = this.rayRequests.get(message.requestId);
+        if (!resolve) return;
+        this.rayRequests.delete(message.requestId);
+        
+        const result = new CANNON.RaycastResult();
+        result.hasHit = message.hasHit;
+        
+        if (message.hasHit) {
+            result.body = this.bodies.get(message.handle) || null;
+            result.hitPointWorld.set(...message.hitPointWorld);
+            result.hitNormalWorld.set(...message.hitNormalWorld);
+            result.distance = message.distance;
+        }
+        
+        resolve(result);
+    }
+    
+    /**
+     * Stop the worker
+     */
+    dispose() {
+        this.worker.terminate();
+        this.rayRequests.clear();
+    }
+}
+
+// Bookkeeping shared with Physics
+SHARED_METHODS.forEach(name => {
+    PhysicsProxy.prototype[name] = Physics.prototype[name];
+});
@@ -0,0 +1,265 @@
+import * as CANNON from 'cannon-es';
+import { Physics } from './Physics.js';
+import { TRANSFORM_LAYOUT } from './PhysicsProxy.js';
+
+/**
+ * Physics worker - owns the real Physics world when it runs off the main thread
+ * Talks to PhysicsProxy: bodies are referred to by handles the proxy hands out, transforms of moving
+ * bodies are written into the buffer the proxy sends with every step
+ */
+
+let physics = null;
+
+// Bodies by handle and handles by body id
+const bodies = new Map();
+const handles = new Map();
+
+// Transform buffer slot of each moving body
+const slots = new Map();
+
+// Vehicles and triggers by the handle of their body
+const vehicles = new Map();
+const triggers = new Map();
+
+// Collision subscriptions ('handle:type' -> unsubscribe) and events waiting for the next frame
+const subscriptions = new Map();
+let pendingEvents = [];
+
+/**
+ * Turn plain { x, y, z } and { x, y, z, w } objects from the main thread back into cannon types
+ * @param {*} value - Message argument
+ * @returns {*} - Vec3, Quaternion or the value unchanged
+ */
+function toCannon(value) {
+    if (!value || typeof value !== 'object' || value.x === undefined) return value;
+    
+    return value.w !== undefined
+        ? new CANNON.Quaternion(value.x, value.y, value.z, value.w)
+        : new CANNON.Vec3(value.x, value.y, value.z);
+}
+
+/**
+ * Get the handle of a body
+ * @param {CANNON.Body} body - The body
+ * @returns {number|null} - Its handle, or null for bodies the proxy doesn't know about
+ */
+function handleOf(body) {
+    if (!body) return null;
+    
+    const handle = handles.get(body.id);
+    return handle !== undefined ? handle : null;
+}
+
+/**
+ * Create a body with one of the Physics factory methods
+ * @param {object} message - { handle, slot, method, args }
+ */
+function create({ handle, slot, method, args }) {
+    const created = physics[method](...args);
+    
+    let body = created;
+    if (method === 'createVehicle') {
+        body = created.chassisBody;
+        vehicles.set(handle, created.vehicle);
+    } else if (method === 'createTrigger') {
+        body = created.body;
+        triggers.set(handle, created);
+    }
+    
+    bodies.set(handle, body);
+    handles.set(body.id, handle);
+    if (slot !== -1) {
+        slots.set(handle, slot);
+    }
+}
+
+/**
+ * Remove a body (and its vehicle or trigger)
+ * @param {number} handle - Body handle
+ */
+function remove(handle) {
+    const body = bodies.get(handle);
+    if (!body) return;
+    
+    if (vehicles.has(handle)) {
+        physics.removeVehicle(vehicles.get(handle));
+        vehicles.delete(handle);
+    } else if (triggers.has(handle)) {
+        physics.removeTrigger(triggers.get(handle));
+        triggers.delete(handle);
+    } else {
+        physics.removeBody(body);
+    }
+    
+    Physics.COLLISION_EVENTS.forEach(type => subscriptions.delete(`${handle}:${type}`));
+    bodies.delete(handle);
+    handles.delete(body.id);
+    slots.delete(handle);
+}
+
+/**
+ * Call a method on the physics system, a body or a vehicle
+ * @param {object} message - { target, handle, method, args }
+ */
+function call({ target, handle, method, args }) {
+    const values = args.map(toCannon);
+    
+    switch (target) {
+        case 'physics':
+            if (handle === null) {
+                physics[method](...values);
+            } else if (bodies.has(handle)) {
+                physics[method](bodies.get(handle), ...values);
+            }
+            break;
+        case 'body':
+            if (bodies.has(handle)) {
+                bodies.get(handle)[method](...values);
+            }
+            break;
+        case 'vehicle':
+            if (vehicles.has(handle)) {
+                vehicles.get(handle)[method](...values);
+            }
+            break;
+        default:
+            console.warn(`Unknown physics call target: ${target}`);
+    }
+}
+
+/**
+ * Start forwarding a collision event type of a body
+ * @param {number} handle - Body handle
+ * @param {string} type - Collision event type
+ */
+function subscribe(handle, type) {
+    const key = `${handle}:${type}`;
+    const body = bodies.get(handle);
+    if (!body || subscriptions.has(key)) return;
+    
+    const vectorArray = (vector) => (vector ? [vector.x, vector.y, vector.z] : null);
+    
+    subscriptions.set(key, physics.on(type, body, (event) => {
+        pendingEvents.push({
+            type,
+            handle,
+            other: handleOf(event.other),
+            point: vectorArray(event.point),
+            normal: vectorArray(event.normal),
+            relativeVelocity: vectorArray(event.relativeVelocity),
+            impactSpeed: event.impactSpeed
+        });
+    }));
+}
+
+/**
+ * Stop forwarding a collision event type of a body
+ * @param {number} handle - Body handle
+ * @param {string} type - Collision event type
+ */
+function unsubscribe(handle, type) {
+    const key = `${handle}:${type}`;
+    const unsubscribeHandler = subscriptions.get(key);
+    if (!unsubscribeHandler) return;
+    
+    unsubscribeHandler();
+    subscriptions.delete(key);
+}
+
+/**
+ * Step the world and hand the transforms back
+ * @param {number} deltaTime - Frame time in seconds
+ * @param {number} ticks - Exact number of fixed steps to take instead (see Physics.tick)
+ * @param {Float32Array} buffer - Transform buffer
+ */
+function step(deltaTime, ticks, buffer) {
+    if (ticks > 0) {
+        physics.tick(ticks);
+    } else {
+        physics.update(deltaTime);
+    }
+    
+    const layout = TRANSFORM_LAYOUT;
+    
+    slots.forEach((slot, handle) => {
+        const body = bodies.get(handle);
+        const offset = slot * layout.stride;
+        if (offset + layout.stride > buffer.length) return;
+        
+        const { position, quaternion, interpolatedPosition, interpolatedQuaternion, velocity, angularVelocity } = body;
+        buffer.set([position.x, position.y, position.z], offset + layout.position);
+        buffer.set([quaternion.x, quaternion.y, quaternion.z, quaternion.w], offset + layout.quaternion);
+        buffer.set([interpolatedPosition.x, interpolatedPosition.y, interpolatedPosition.z], offset + layout.interpolatedPosition);
+        buffer.set([interpolatedQuaternion.x, interpolatedQuaternion.y, interpolatedQuaternion.z, interpolatedQuaternion.w], offset + layout.interpolatedQuaternion);
+        buffer.set([velocity.x, velocity.y, velocity.z], offset + layout.velocity);
+        buffer.set([angularVelocity.x, angularVelocity.y, angularVelocity.z], offset + layout.angularVelocity);
+        buffer[offset + layout.sleepState] = body.sleepState;
+        
+        const vehicle = vehicles.get(handle);
+        if (vehicle) {
+            vehicle.wheelInfos.slice(0, 4).forEach((wheel, i) => {
+                buffer[offset + layout.wheelRotation + i] = wheel.deltaRotation;
+            });
+        }
+    });
+    
+    const events = pendingEvents;
+    pendingEvents = [];
+    
+    const transfer = buffer.buffer instanceof ArrayBuffer ? [buffer.buffer] : [];
+    self.postMessage({ type: 'frame', buffer, events }, transfer);
+}
+
+/**
+ * Answer a ray test
+ * @param {object} message - { requestId, from, to, mask, ignore }
+ */
+function rayTest({ requestId, from, to, mask, ignore }) {
+    const result = physics.rayTest(toCannon(from), toCannon(to), {
+        mask,
+        ignore: ignore.map(handle => bodies.get(handle)).filter(Boolean)
+    });
+    
+    const reply = { type: 'rayResult', requestId, hasHit: result.hasHit };
+    if (result.hasHit) {
+        reply.handle = handleOf(result.body);
+        reply.hitPointWorld = [result.hitPointWorld.x, result.hitPointWorld.y, result.hitPointWorld.z];
+        reply.hitNormalWorld = [result.hitNormalWorld.x, result.hitNormalWorld.y, result.hitNormalWorld.z];
+        reply.distance = result.distance;
+    }
+    
+    self.postMessage(reply);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init':
+            physics = new Physics(message.options);
+            break;
+        case 'create':
+            create(message);
+            break;
+        case 'remove':
+            remove(message.handle);
+            break;
+        case 'call':
+            call(message);
+            break;
+        case 'on':
+            subscribe(message.handle, message.event);
+            break;
+        case 'off':
+            unsubscribe(message.handle, message.event);
+            break;
+        case 'step':
+            step(message.deltaTime, message.ticks, message.buffer);
+            break;
+        case 'rayTest':
+            rayTest(message);
+            break;
+        default:
+            console.warn(`Unknown physics worker message: ${message.type}`);
+    }
+};
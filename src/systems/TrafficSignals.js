@@ -0,0 +1,181 @@
+/**
+ * Traffic signal controller that cycles every intersection through timed phases
+ * Each intersection alternates right of way between its two axes:
+ * roads running along z (north/south approaches) and roads running along x (east/west approaches)
+ */
+export class TrafficSignalController {
+    /**
+     * @param {object} timing - Phase durations in seconds
+     * @param {number} timing.green - How long an axis stays green
+     * @param {number} timing.yellow - How long an axis stays yellow
+     * @param {number} timing.allRed - Clearance time with both axes red
+     */
+    constructor(timing = {}) {
+        const { green = 10, yellow = 3, allRed = 1 } = timing;
+        this.timing = { green, yellow, allRed };
+        
+        // Phase plan, repeated forever
+        this.phases = [
+            { z: 'green', x: 'red', duration: green },
+            { z: 'yellow', x: 'red', duration: yellow },
+            { z: 'red', x: 'red', duration: allRed },
+            { z: 'red', x: 'green', duration: green },
+            { z: 'red', x: 'yellow', duration: yellow },
+            { z: 'red', x: 'red', duration: allRed }
+        ];
+        this.cycleLength = this.phases.reduce((total, phase) => total + phase.duration, 0);
+        
+        // Emissive intensity of lit and unlit lamps
+        this.lampOnIntensity = 1.5;
+        this.lampOffIntensity = 0.05;
+        this.glow = 1; // Multiplier for lit lamps (raised at night)
+        
+        // Intersections indexed by id
+        this.intersections = new Map();
+    }
+    
+    /**
+     * Register an intersection
+     * @param {string} id - Intersection id (road graph node id)
+     * @param {number} offset - Start time offset in seconds so neighbouring intersections aren't in sync
+     * @returns {object} - The intersection state
+     */
+    addIntersection(id, offset = 0) {
+        const intersection = {
+            id,
+            offset,
+            time: ((offset % this.cycleLength) + this.cycleLength) % this.cycleLength,
+            phaseIndex: -1,
+            lights: [] // { axis, lamps }
+        };
+        
+        this.intersections.set(id, intersection);
+        this.updatePhase(intersection);
+        
+        return intersection;
+    }
+    
+    /**
+     * Attach a signal head to an intersection
+     * @param {string} intersectionId - Intersection id
+     * @param {string} axis - Axis the head controls ('x' or 'z')
+     * @param {object} lamps - Lamp materials keyed by color ({ red, yellow, green })
+     */
+    addLight(intersectionId, axis, lamps) {
+        const intersection = this.intersections.get(intersectionId);
+        if (!intersection) {
+            console.warn(`Unknown intersection ${intersectionId}`);
+            return;
+        }
+        
+        const light = { axis, lamps };
+        intersection.lights.push(light);
+        this.applyLight(light, this.phases[intersection.phaseIndex]);
+    }
+    
+    /**
+     * Detach a signal head from an intersection (e.g. when its chunk unloads)
+     * @param {string} intersectionId - Intersection id
+     * @param {object} lamps - Lamp materials passed to addLight
+     */
+    removeLight(intersectionId, lamps) {
+        const intersection = this.intersections.get(intersectionId);
+        if (!intersection) return;
+        
+        intersection.lights = intersection.lights.filter(light => light.lamps !== lamps);
+    }
+    
+    /**
+     * Scale how brightly lit lamps glow (e.g. brighter at night)
+     * @param {number} glow - Multiplier for the lit lamp intensity
+     */
+    setGlow(glow) {
+        this.glow = glow;
+        
+        this.intersections.forEach(intersection => {
+            intersection.lights.forEach(light => this.applyLight(light, this.phases[intersection.phaseIndex]));
+        });
+    }
+    
+    /**
+     * Convert an approach into the axis it travels along
+     * @param {string|THREE.Vector3} approach - 'north', 'south', 'east', 'west', 'x', 'z' or a travel direction
+     * @returns {string|null} - 'x' or 'z'
+     */
+    getApproachAxis(approach) {
+        if (approach && typeof approach === 'object') {
+            return Math.abs(approach.x) > Math.abs(approach.z) ? 'x' : 'z';
+        }
+        
+        switch (approach) {
+            case 'north':
+            case 'south':
+            case 'z':
+                return 'z';
+            case 'east':
+            case 'west':
+            case 'x':
+                return 'x';
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Get the signal shown to traffic arriving from an approach
+     * @param {string} intersectionId - Intersection id
+     * @param {string|THREE.Vector3} approach - Approach name or travel direction (see getApproachAxis)
+     * @returns {string|null} - 'green', 'yellow' or 'red', or null for unknown intersections
+     */
+    getSignalState(intersectionId, approach) {
+        const intersection = this.intersections.get(intersectionId);
+        const axis = this.getApproachAxis(approach);
+        
+        if (!intersection || !axis) return null;
+        
+        return this.phases[intersection.phaseIndex][axis];
+    }
+    
+    /**
+     * Advance all intersections
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.intersections.forEach(intersection => {
+            intersection.time = (intersection.time + deltaTime) % this.cycleLength;
+            this.updatePhase(intersection);
+        });
+    }
+    
+    /**
+     * Work out the current phase of an intersection and refresh its lamps when it changes
+     * @param {object} intersection - Intersection state
+     */
+    updatePhase(intersection) {
+        let elapsed = intersection.time;
+        let phaseIndex = 0;
+        
+        while (phaseIndex < this.phases.length - 1 && elapsed >= this.phases[phaseIndex].duration) {
+            elapsed -= this.phases[phaseIndex].duration;
+            phaseIndex++;
+        }
+        
+        if (phaseIndex === intersection.phaseIndex) return;
+        
+        intersection.phaseIndex = phaseIndex;
+        intersection.lights.forEach(light => this.applyLight(light, this.phases[phaseIndex]));
+    }
+    
+    /**
+     * Light the lamp matching the phase for a signal head
+     * @param {object} light - Signal head
+     * @param {object} phase - Current phase
+     */
+    applyLight(light, phase) {
+        const state = phase[light.axis];
+        
+        Object.keys(light.lamps).forEach(color => {
+            light.lamps[color].emissiveIntensity = color === state ? this.lampOnIntensity * this.glow : this.lampOffIntensity;
+        });
+    }
+}
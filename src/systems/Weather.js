@@ -0,0 +1,336 @@
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+/**
+ * Weather presets
+ * rain: rain intensity (0-1), fog: fog density multiplier, overcast: how much the sky and sun
+ * darken (0-1), wetness: how wet the roads look (0-1), grip: tire grip multiplier,
+ * lightning: whether lightning strikes, weight: how likely the preset is picked by automatic changes
+ */
+export const WEATHER_TYPES = {
+    clear: { rain: 0, fog: 1, overcast: 0, wetness: 0, grip: 1, lightning: false, weight: 5 },
+    rain: { rain: 0.5, fog: 2, overcast: 0.5, wetness: 1, grip: 0.6, lightning: false, weight: 2.5 },
+    storm: { rain: 1, fog: 3, overcast: 0.8, wetness: 1, grip: 0.45, lightning: true, weight: 1 },
+    fog: { rain: 0, fog: 6, overcast: 0.3, wetness: 0.3, grip: 0.9, lightning: false, weight: 1.5 }
+};
+
+// Parameters blended during transitions
+const BLENDED_KEYS = ['rain', 'fog', 'overcast', 'wetness', 'grip'];
+
+/**
+ * Get the weather parameters of a preset
+ * @param {string} weather - Weather preset name
+ * @returns {object} - Blended parameters plus lightning
+ */
+function presetState(weather) {
+    const preset = WEATHER_TYPES[weather];
+    const state = { lightning: preset.lightning };
+    BLENDED_KEYS.forEach(key => {
+        state[key] = preset[key];
+    });
+    return state;
+}
+
+/**
+ * Weather system - blends between weather presets and applies their visual and gameplay effects:
+ * rain particles, fog density, wet road material and vehicle grip
+ * Dispatches 'change' with { weather, previous } when a new weather starts
+ */
+export class WeatherSystem extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the rain to
+     * @param {object} options - Weather options
+     * @param {string} options.weather - Initial weather (see WEATHER_TYPES)
+     * @param {Physics} options.physics - Physics system whose vehicle grip is lowered in the wet
+     * @param {City} options.city - City whose roads get wet
+     * @param {DayNightCycle} options.dayNight - Day/night cycle whose fog and sky are adjusted
+     * @param {boolean} options.autoChange - Change the weather by itself every few minutes
+     * @param {number} options.maxRainDrops - Number of rain drops at full intensity
+     * @param {SeededRandom} options.random - Generator for weather changes and lightning (seed it for repeatable runs)
+     */
+    constructor(scene, options = {}) {
+        super();
+        
+        this.scene = scene;
+        this.physics = options.physics || null;
+        this.city = options.city || null;
+        this.dayNight = options.dayNight || null;
+        this.random = options.random || new SeededRandom();
+        
+        // Current weather and the blend towards it
+        this.weather = WEATHER_TYPES[options.weather] ? options.weather : 'clear';
+        this.state = presetState(this.weather);
+        this.from = { ...this.state };
+        this.transitionTime = 0;
+        this.transitionDuration = 0;
+        
+        // Automatic weather changes (suspended while a mission forces the weather)
+        this.autoChange = options.autoChange || false;
+        this.changeInterval = [120, 300]; // Seconds between automatic changes
+        this.nextChange = this.randomChangeDelay();
+        this.locked = false;
+        
+        // Dry and wet road look
+        this.dryRoad = this.city ? {
+            roughness: this.city.materials.road.roughness,
+            metalness: this.city.materials.road.metalness
+        } : null;
+        this.wetRoad = { roughness: 0.25, metalness: 0.4 };
+        
+        // Lightning flash
+        this.flashLight = new THREE.AmbientLight(0xCCDDFF, 0);
+        this.flashIntensity = 0;
+        this.nextLightning = 5;
+        this.scene.add(this.flashLight);
+        
+        this.createRain(options.maxRainDrops || 4000);
+        this.applyEffects();
+    }
+    
+    /**
+     * Create the rain streaks
+     * @param {number} maxDrops - Number of drops at full intensity
+     */
+    createRain(maxDrops) {
+        this.maxRainDrops = maxDrops;
+        this.rainArea = { radius: 40, height: 30 }; // Box around the focus point the rain falls in
+        this.rainSpeed = 30;
+        this.rainLength = 0.6;
+        this.rainCenter = new THREE.Vector3();
+        
+        // Two vertices per drop (top and bottom of the streak)
+        const positions = new Float32Array(maxDrops * 6);
+        for (let i = 0; i < maxDrops; i++) {
+            const x = this.random.range(-1, 1) * this.rainArea.radius;
+            const y = this.random.next() * this.rainArea.height;
+            const z = this.random.range(-1, 1) * this.rainArea.radius;
+            positions.set([x, y + this.rainLength, z, x, y, z], i * 6);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
+        
+        const material = new THREE.LineBasicMaterial({
+            color: 0xAABBCC,
+            transparent: true,
+            opacity: 0.5
+        });
+        
+        this.rain = new THREE.LineSegments(geometry, material);
+        this.rain.frustumCulled = false; // Follows the camera, never off screen
+        this.scene.add(this.rain);
+    }
+    
+    /**
+     * Change the weather
+     * @param {string} weather - Weather preset (see WEATHER_TYPES)
+     * @param {number} transitionDuration - Seconds to blend into the new weather (0 = instant)
+     */
+    setWeather(weather, transitionDuration = 10) {
+        if (!WEATHER_TYPES[weather]) {
+            console.warn(`Unknown weather: ${weather}`);
+            return;
+        }
+        
+        const previous = this.weather;
+        this.weather = weather;
+        this.from = { ...this.state };
+        this.transitionTime = 0;
+        this.transitionDuration = transitionDuration;
+        
+        if (transitionDuration <= 0) {
+            this.state = presetState(weather);
+            this.applyEffects();
+        }
+        
+        this.dispatchEvent({ type: 'change', weather, previous });
+    }
+    
+    /**
+     * Get the current weather
+     * @returns {string} - Weather preset name
+     */
+    getWeather() {
+        return this.weather;
+    }
+    
+    /**
+     * Get the blended weather parameters right now
+     * @returns {object} - Current rain, fog, overcast, wetness and grip
+     */
+    getState() {
+        return { ...this.state };
+    }
+    
+    /**
+     * Stop or resume automatic weather changes (e.g. while a mission forces the weather)
+     * @param {boolean} locked - Whether the weather is locked
+     */
+    setLocked(locked) {
+        this.locked = locked;
+    }
+    
+    /**
+     * Pick a random delay until the next automatic change
+     * @returns {number} - Delay in seconds
+     */
+    randomChangeDelay() {
+        const [min, max] = this.changeInterval;
+        return this.random.range(min, max);
+    }
+    
+    /**
+     * Pick a random weather preset, weighted by how common each one is
+     * @returns {string} - Weather preset name
+     */
+    randomWeather() {
+        const entries = Object.entries(WEATHER_TYPES);
+        const total = entries.reduce((sum, [, preset]) => sum + preset.weight, 0);
+        let roll = this.random.next() * total;
+        
+        for (const [name, preset] of entries) {
+            roll -= preset.weight;
+            if (roll <= 0) return name;
+        }
+        
+        return 'clear';
+    }
+    
+    /**
+     * Update the weather blend, rain and lightning
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} focus - Position the rain falls around (usually the camera)
+     */
+    update(deltaTime, focus = null) {
+        // Automatic changes
+        if (this.autoChange && !this.locked) {
+            this.nextChange -= deltaTime;
+            if (this.nextChange <= 0) {
+                this.nextChange = this.randomChangeDelay();
+                this.setWeather(this.randomWeather(), 30);
+            }
+        }
+        
+        // Blend towards the target weather
+        if (this.transitionTime < this.transitionDuration) {
+            this.transitionTime = Math.min(this.transitionTime + deltaTime, this.transitionDuration);
+            const t = this.transitionTime / this.transitionDuration;
+            const target = WEATHER_TYPES[this.weather];
+            
+            BLENDED_KEYS.forEach(key => {
+                this.state[key] = THREE.MathUtils.lerp(this.from[key], target[key], t);
+            });
+            this.state.lightning = t > 0.5 ? target.lightning : this.from.lightning;
+            
+            this.applyEffects();
+        }
+        
+        if (focus) {
+            this.rainCenter.set(focus.x, focus.y - this.rainArea.height / 2, focus.z);
+        }
+        
+        this.updateRain(deltaTime);
+        this.updateLightning(deltaTime);
+    }
+    
+    /**
+     * Apply the current weather parameters to fog, sky, roads and physics
+     */
+    applyEffects() {
+        const { fog, overcast, wetness, grip } = this.state;
+        
+        // Fog and sky
+        if (this.dayNight) {
+            this.dayNight.fogMultiplier = fog;
+            this.dayNight.overcast = overcast;
+        }
+        
+        // Wet roads are smoother and more reflective
+        if (this.city && this.dryRoad) {
+            const road = this.city.materials.road;
+            road.roughness = THREE.MathUtils.lerp(this.dryRoad.roughness, this.wetRoad.roughness, wetness);
+            road.metalness = THREE.MathUtils.lerp(this.dryRoad.metalness, this.wetRoad.metalness, wetness);
+        }
+        
+        // Cars slide in the wet
+        if (this.physics) {
+            this.physics.setVehicleGrip(grip);
+        }
+    }
+    
+    /**
+     * Move the rain drops down and wrap them around the focus point
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateRain(deltaTime) {
+        const dropCount = Math.floor(this.maxRainDrops * this.state.rain);
+        this.rain.geometry.setDrawRange(0, dropCount * 2);
+        this.rain.visible = dropCount > 0;
+        
+        if (!this.rain.visible) return;
+        
+        // Drops fall in a box that follows the focus point
+        this.rain.position.copy(this.rainCenter);
+        
+        const positions = this.rain.geometry.attributes.position.array;
+        const fall = this.rainSpeed * deltaTime;
+        
+        for (let i = 0; i < dropCount; i++) {
+            const index = i * 6;
+            let y = positions[index + 4] - fall;
+            
+            if (y < 0) {
+                y += this.rainArea.height;
+            }
+            
+            positions[index + 1] = y + this.rainLength;
+            positions[index + 4] = y;
+        }
+        
+        this.rain.geometry.attributes.position.needsUpdate = true;
+    }
+    
+    /**
+     * Random lightning flashes during storms
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateLightning(deltaTime) {
+        if (this.state.lightning) {
+            this.nextLightning -= deltaTime;
+            if (this.nextLightning <= 0) {
+                this.flashIntensity = 3;
+                this.nextLightning = this.random.range(4, 16);
+            }
+        }
+        
+        // Flash fades out quickly
+        this.flashIntensity = Math.max(0, this.flashIntensity - deltaTime * 12);
+        this.flashLight.intensity = this.flashIntensity;
+    }
+    
+    /**
+     * Save weather state
+     * @returns {object} - Serialized weather state
+     */
+    save() {
+        return {
+            weather: this.weather,
+            autoChange: this.autoChange,
+            nextChange: this.nextChange
+        };
+    }
+    
+    /**
+     * Load weather state
+     * @param {object} state - Serialized weather state
+     */
+    load(state) {
+        if (!state) return;
+        
+        if (state.autoChange !== undefined) this.autoChange = state.autoChange;
+        if (state.nextChange !== undefined) this.nextChange = state.nextChange;
+        
+        this.setWeather(state.weather, 0);
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Small seedable pseudo-random number generator (mulberry32)
+ * Produces the same sequence for the same seed, unlike Math.random()
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Numeric seed or any string (hashed to a number)
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Generate a fresh seed when none was supplied
+     * @returns {number} - A 32-bit unsigned integer seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+    
+    /**
+     * Convert a number or string into a 32-bit unsigned integer seed
+     * @param {number|string} seed - Seed value
+     * @returns {number} - Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        // Numeric strings (e.g. from a URL) map to the same seed as the number itself
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            return Number(seed) >>> 0;
+        }
+        
+        // Hash strings (and anything else) with FNV-1a
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Derive an independent seed from a base seed and a list of integer keys
+     * (e.g. grid coordinates), so sub-generators don't depend on generation order
+     * @param {number} seed - Base seed
+     * @param {...number} keys - Keys to mix into the seed
+     * @returns {number} - Derived seed
+     */
+    static deriveSeed(seed, ...keys) {
+        let hash = SeededRandom.normalizeSeed(seed);
+        keys.forEach(key => {
+            hash = Math.imul(hash ^ (key | 0), 0x9E3779B1);
+            hash ^= hash >>> 16;
+        });
+        return hash >>> 0;
+    }
+    
+    /**
+     * Create a new generator derived from this generator's seed
+     * @param {...number} keys - Keys to mix into the seed
+     * @returns {SeededRandom} - Independent generator
+     */
+    fork(...keys) {
+        return new SeededRandom(SeededRandom.deriveSeed(this.seed, ...keys));
+    }
+    
+    /**
+     * Next float in [0, 1), drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [min, max] (inclusive)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} - The chosen element
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
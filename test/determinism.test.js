@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Physics } from '../src/systems/Physics.js';
+import { City } from '../src/scenes/City.js';
+
+const SEED = 'determinism';
+
+/**
+ * Build a seeded city with a few moving bodies in it: falling crates, a car and a character
+ * @returns {Physics} - The physics world
+ */
+function createWorld() {
+    const physics = new Physics();
+    new City(5, 20, { seed: SEED, physics });
+    
+    for (let i = 0; i < 5; i++) {
+        physics.createBox({
+            width: 1,
+            height: 1,
+            depth: 1,
+            mass: 10,
+            position: new THREE.Vector3(10 + i * 0.3, 2 + i * 1.1, 10),
+            userData: { type: 'crate', id: `crate_${i}` }
+        });
+    }
+    
+    const car = physics.createVehicle({
+        chassisDimensions: new THREE.Vector3(1.8, 1.4, 4.5),
+        wheelRadius: 0.42,
+        wheelWidth: 0.18,
+        position: new THREE.Vector3(-10, 2, 10),
+        mass: 1500
+    });
+    physics.registerEntity(car.chassisBody, { type: 'vehicle', id: 'car' });
+    car.vehicle.applyEngineForce(-2000, 2);
+    car.vehicle.applyEngineForce(-2000, 3);
+    
+    const character = physics.createCharacter({ height: 1.8, radius: 0.3, mass: 70, position: new THREE.Vector3(10, 2, -10) });
+    physics.registerEntity(character, { type: 'player', id: 'player' });
+    physics.setVelocity(character, new THREE.Vector3(2, 3, 0));
+    
+    return physics;
+}
+
+/**
+ * Positions of every registered moving body
+ * @param {Physics} physics - The physics world
+ * @returns {object} - Position arrays by entity id
+ */
+function positions(physics) {
+    const { bodies } = physics.snapshot();
+    return Object.fromEntries(Object.entries(bodies).map(([id, state]) => [id, state.position]));
+}
+
+test('the same seed and ticks give the same body positions', () => {
+    const first = createWorld();
+    const second = createWorld();
+    
+    first.tick(180);
+    second.tick(180);
+    
+    assert.deepEqual(positions(second), positions(first));
+});
+
+test('ticking again from a snapshot repeats the run exactly', () => {
+    const physics = createWorld();
+    physics.tick(30);
+    const snapshot = physics.snapshot();
+    
+    physics.tick(120);
+    const firstRun = positions(physics);
+    
+    physics.restore(snapshot);
+    physics.tick(120);
+    
+    assert.deepEqual(positions(physics), firstRun);
+    assert.notDeepEqual(firstRun, Object.fromEntries(Object.entries(snapshot.bodies).map(([id, state]) => [id, state.position])));
+});
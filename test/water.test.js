@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Physics } from '../src/systems/Physics.js';
+import { Vehicle } from '../src/components/Vehicle.js';
+
+const STEP = 1 / 60;
+
+/**
+ * Physics world with a seabed and a sea over it
+ * @returns {Physics} - The physics world
+ */
+function createSea() {
+    const physics = new Physics();
+    physics.createBox({ width: 200, height: 1, depth: 200, mass: 0, position: new THREE.Vector3(0, -7.3, 0), surface: 'sand' });
+    physics.addWaterVolume({ type: 'sea', minX: -100, maxX: 100, minZ: -100, maxZ: 100, level: -0.8, bottom: -6.8 });
+    
+    return physics;
+}
+
+test('a car afloat in the sea floods and stalls within its flood time, and a reset dries it out', () => {
+    const physics = createSea();
+    
+    // Put in gently, so it floats rather than being dunked under
+    const vehicle = new Vehicle(new THREE.Scene(), physics, { position: new THREE.Vector3(0, -0.6, 0) });
+    vehicle.startEngine();
+    
+    // The flood time and a little slack
+    const steps = Math.ceil(vehicle.options.floodTime * 1.25 / STEP);
+    for (let i = 0; i < steps && !vehicle.state.flooded; i++) {
+        physics.tick(1);
+        vehicle.update(STEP);
+    }
+    
+    assert.equal(vehicle.state.flooded, true);
+    assert.equal(vehicle.state.engineOn, false);
+    
+    vehicle.startEngine();
+    assert.equal(vehicle.state.engineOn, false);
+    
+    // A restart puts it back on dry land as good as new
+    physics.teleport(vehicle.chassisBody, new THREE.Vector3(0, 1, 200));
+    vehicle.reset();
+    vehicle.startEngine();
+    assert.equal(vehicle.state.engineOn, true);
+    assert.equal(vehicle.state.flood, 0);
+    assert.equal(physics.floatingBodies.get(vehicle.chassisBody).volume, vehicle.buoyancy.volume);
+});
+
+test('bodies lighter than the water they displace float at the surface', () => {
+    const physics = createSea();
+    const box = physics.createBox({ width: 1, height: 1, depth: 1, mass: 500, position: new THREE.Vector3(0, 2, 0) });
+    physics.setBuoyancy(box, { volume: 1, height: 1, drag: 2, angularDrag: 2 });
+    
+    physics.tick(600);
+    
+    // Half under water: the center sits at the water level
+    assert.ok(Math.abs(box.position.y - -0.8) < 0.05, `box settled at ${box.position.y}`);
+    assert.equal(physics.getWaterAt(box.position).volume.type, 'sea');
+});